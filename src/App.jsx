@@ -1,17 +1,34 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { LinesProvider } from './context/LinesContext';
 import Login from './components/Login';
 import MainPage from './components/MainPage';
+import ProtectedRoute from './components/ProtectedRoute';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import UpdatePrompt from './components/UpdatePrompt';
 
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/" element={<Login />} />
-          <Route path="/:line" element={<MainPage />} />
-        </Routes>
-      </Router>
+      <LinesProvider>
+        <Router>
+          <Routes>
+            <Route path="/" element={<Login />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route
+              path="/:line"
+              element={
+                <ProtectedRoute>
+                  <MainPage />
+                </ProtectedRoute>
+              }
+            />
+          </Routes>
+        </Router>
+        <UpdatePrompt />
+      </LinesProvider>
     </AuthProvider>
   );
 }
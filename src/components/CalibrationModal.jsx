@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { getOperatorImagePaths } from '../services/faceMatching';
+import { CLOSE_PAIR_MARGIN, analyseDescriptors } from '../services/calibration';
+
+// Pairwise distances of the enrolled faces, to spot look-alikes and pick thresholds
+const CalibrationModal = ({
+  matchThreshold,
+  operators,
+  modelsLoaded,
+  thresholdFor,
+  loadLabeledDescriptors,
+  onClose,
+}) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [labels, setLabels] = useState([]);
+
+  useEffect(() => {
+    if (!modelsLoaded) return;
+    let cancelled = false;
+    const analyse = async () => {
+      const labeledDescriptors = await loadLabeledDescriptors();
+      if (cancelled) return;
+      setLabels(labeledDescriptors.map((labeled) => labeled.label));
+      setAnalysis(analyseDescriptors(labeledDescriptors, thresholdFor));
+    };
+    analyse();
+    return () => {
+      cancelled = true;
+    };
+  }, [modelsLoaded, loadLabeledDescriptors, thresholdFor]);
+
+  const operatorById = (id) => operators.find((op) => op._id === id);
+  const closePairs = analysis ? analysis.pairs.filter((pair) => pair.close) : [];
+  const cellColor = (distance, i, j) => {
+    if (i === j) return 'bg-gray-200';
+    const threshold = Math.max(thresholdFor(labels[i]), thresholdFor(labels[j]));
+    if (distance < threshold) return 'bg-red-200';
+    if (distance < threshold + CLOSE_PAIR_MARGIN) return 'bg-yellow-100';
+    return '';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white p-6 rounded shadow-lg w-4/5 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-4">Calibrate Matching</h2>
+        <p className="text-gray-600 mb-4">
+          A face matches an operator when its distance to one of their photos is below the threshold. Lower
+          thresholds reject more look-alikes but also more genuine scans.
+        </p>
+        {!analysis ? (
+          <p>Computing face distances...</p>
+        ) : (
+          <>
+            <div className="mb-4">
+              <p>Line threshold: <span className="font-semibold">{matchThreshold}</span></p>
+              <p>
+                Suggested threshold:{' '}
+                <span className="font-semibold">{analysis.suggestedThreshold ?? 'needs at least two operators'}</span>
+                <span className="text-gray-500 text-sm"> (set it in the line config)</span>
+              </p>
+            </div>
+            <h3 className="text-lg font-semibold mb-2">Close pairs</h3>
+            {closePairs.length === 0 ? (
+              <p className="mb-4 text-green-700">No operators are dangerously close at the current thresholds.</p>
+            ) : (
+              <table className="min-w-full bg-white border mb-4">
+                <thead>
+                  <tr>
+                    <th className="py-2 px-4 border">Operator</th>
+                    <th className="py-2 px-4 border">Operator</th>
+                    <th className="py-2 px-4 border">Distance</th>
+                    <th className="py-2 px-4 border">Risk</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {closePairs.map((pair) => (
+                    <tr key={`${pair.a}|${pair.b}`} className={`border-t ${pair.collides ? 'bg-red-50' : 'bg-yellow-50'}`}>
+                      <td className="py-2 px-4">{operatorById(pair.a)?.name}</td>
+                      <td className="py-2 px-4">{operatorById(pair.b)?.name}</td>
+                      <td className="py-2 px-4">{pair.distance.toFixed(3)}</td>
+                      <td className="py-2 px-4">
+                        {pair.collides
+                          ? `Can be confused. Give both a threshold below ${pair.distance.toFixed(2)} or re-enroll them.`
+                          : 'Close to the threshold.'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <h3 className="text-lg font-semibold mb-2">Operators</h3>
+            <table className="min-w-full bg-white border mb-4">
+              <thead>
+                <tr>
+                  <th className="py-2 px-4 border">Operator</th>
+                  <th className="py-2 px-4 border">Photos</th>
+                  <th className="py-2 px-4 border">Own spread</th>
+                  <th className="py-2 px-4 border">Closest other</th>
+                  <th className="py-2 px-4 border">Threshold</th>
+                </tr>
+              </thead>
+              <tbody>
+                {labels.map((id, i) => {
+                  const op = operatorById(id);
+                  const others = analysis.matrix[i].filter((_, j) => j !== i);
+                  return (
+                    <tr key={id} className="border-t">
+                      <td className="py-2 px-4">{op?.name}</td>
+                      <td className="py-2 px-4">{getOperatorImagePaths(op).length}</td>
+                      <td className="py-2 px-4">{analysis.spreads[i] === null ? '-' : analysis.spreads[i].toFixed(3)}</td>
+                      <td className="py-2 px-4">{others.length > 0 ? Math.min(...others).toFixed(3) : '-'}</td>
+                      <td className="py-2 px-4">
+                        {thresholdFor(id)}
+                        {op?.matchThreshold > 0 && <span className="text-gray-500 text-sm"> (override)</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <details>
+              <summary className="cursor-pointer font-semibold mb-2">Distance matrix</summary>
+              <div className="overflow-x-auto">
+                <table className="bg-white border text-xs">
+                  <thead>
+                    <tr>
+                      <th className="p-1 border" />
+                      {labels.map((id) => (
+                        <th key={id} className="p-1 border">{operatorById(id)?.name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analysis.matrix.map((row, i) => (
+                      <tr key={labels[i]}>
+                        <th className="p-1 border text-left">{operatorById(labels[i])?.name}</th>
+                        {row.map((distance, j) => (
+                          <td key={labels[j]} className={`p-1 border text-center ${cellColor(distance, i, j)}`}>
+                            {i === j ? '-' : distance.toFixed(2)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </details>
+          </>
+        )}
+        <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationModal;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { downloadBlob } from '../services/download';
+import {
+  MAX_REPORT_DAYS,
+  listDates,
+  fetchAttendanceRange,
+  writeAttendanceReport,
+  writeAttendanceCsv,
+} from '../services/attendanceReport';
+
+const ExportAttendanceModal = ({ line, today, onClose }) => {
+  const [fromDate, setFromDate] = useState(today);
+  const [toDate, setToDate] = useState(today);
+  const [format, setFormat] = useState('xlsx');
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Quick ranges ending today
+  const setRange = (days) => {
+    const from = new Date(`${today}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - (days - 1));
+    setFromDate(from.toISOString().split('T')[0]);
+    setToDate(today);
+  };
+
+  const handleExport = async () => {
+    if (!fromDate || !toDate || fromDate > toDate) {
+      alert('Please select a valid date range.');
+      return;
+    }
+    const dayCount = listDates(fromDate, toDate).length;
+    if (dayCount > MAX_REPORT_DAYS) {
+      alert(`Please select at most ${MAX_REPORT_DAYS} days.`);
+      return;
+    }
+    setIsExporting(true);
+    try {
+      const { records, failedDates } = await fetchAttendanceRange(line, fromDate, toDate);
+      if (failedDates.length === dayCount) {
+        alert('Could not load attendance for the selected dates. Please try again.');
+        return;
+      }
+      const baseName = fromDate === toDate
+        ? `attendance_${line}_${fromDate}`
+        : `attendance_${line}_${fromDate}_to_${toDate}`;
+      if (format === 'csv') {
+        downloadBlob(writeAttendanceCsv(records), `${baseName}.csv`);
+      } else {
+        const blob = await writeAttendanceReport(records, { line, from: fromDate, to: toDate });
+        downloadBlob(blob, `${baseName}.xlsx`);
+      }
+      alert(
+        failedDates.length > 0
+          ? `Exported, but these days could not be loaded and are missing from the report:\n${failedDates.join('\n')}`
+          : 'Export successful!'
+      );
+    } catch (error) {
+      console.error('Error exporting attendance:', error);
+      alert('Error exporting attendance. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white p-6 rounded shadow-lg w-3/4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-4">Export Attendance</h2>
+        <div className="mb-4 flex gap-2">
+          <button onClick={() => setRange(1)} className="border px-3 py-1 rounded">Today</button>
+          <button onClick={() => setRange(7)} className="border px-3 py-1 rounded">Last 7 days</button>
+          <button onClick={() => setRange(30)} className="border px-3 py-1 rounded">Last 30 days</button>
+        </div>
+        <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">From:</label>
+            <input
+              type="date"
+              value={fromDate}
+              max={toDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="border p-2 rounded w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">To:</label>
+            <input
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="border p-2 rounded w-full"
+            />
+          </div>
+        </div>
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-2">Format:</label>
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="border p-2 rounded w-full"
+          >
+            <option value="xlsx">Excel (summary and daily detail)</option>
+            <option value="csv">CSV (daily detail)</option>
+          </select>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={isExporting}
+          className={`bg-blue-500 text-white px-4 py-2 rounded mb-4 ${isExporting ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {isExporting ? 'Exporting...' : 'Export Attendance'}
+        </button>
+        <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportAttendanceModal;
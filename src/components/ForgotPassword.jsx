@@ -0,0 +1,76 @@
+import { api } from '../services/api';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import logo from '../assets/Padget.jpeg';
+
+const ForgotPassword = () => {
+  const [username, setUsername] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await api.post('/api/auth/forgot-password', { username }, { skipAuthRefresh: true });
+      setSubmitted(true);
+    } catch (error) {
+      if (error.response && error.response.data.message) {
+        setError(error.response.data.message);
+      } else {
+        setError('Server Error');
+      }
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-100 via-white to-gray-100 p-4">
+      <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md">
+        <div className="flex justify-center mb-6">
+          <img src={logo} alt="CheckSheets Logo" className="h-12 w-auto" />
+        </div>
+        <h2 className="text-3xl font-bold text-center text-gray-800 mb-6">Reset Password</h2>
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-lg text-center">
+            {error}
+          </div>
+        )}
+        {submitted ? (
+          <div className="mb-4 p-3 bg-green-100 text-green-700 rounded-lg text-center">
+            If the account exists, a password reset link has been sent to its registered email address.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <div>
+              <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                Username
+              </label>
+              <input
+                type="text"
+                id="username"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition"
+                placeholder="Enter your username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              className="w-full bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 focus:ring-4 focus:ring-purple-300 transition font-medium"
+            >
+              Send Reset Link
+            </button>
+          </form>
+        )}
+        <div className="mt-4 text-center">
+          <Link to="/" className="text-sm text-purple-600 hover:text-purple-800 transition">
+            Back to Sign In
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
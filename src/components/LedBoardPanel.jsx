@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { mqttService } from '../services/mqttService';
+
+// Live mirror of the line's physical LED board. Each slot shows its operator,
+// the state attendance says it should have, and the state the board reports;
+// slots where the two disagree are highlighted.
+const LedBoardPanel = ({ line, ledCount, ledStations, operators, presentIds }) => {
+  // ledIndex -> 'on' | 'off' as last commanded on the LED topic
+  const [commanded, setCommanded] = useState({});
+  // ledIndex -> 'on' | 'off' as last reported by the board
+  const [reported, setReported] = useState({});
+  const [deviceOnline, setDeviceOnline] = useState(null);
+  const [lastReportAt, setLastReportAt] = useState(null);
+
+  useEffect(() => {
+    setCommanded({});
+    setReported({});
+    setDeviceOnline(null);
+    setLastReportAt(null);
+
+    const stopLed = mqttService.subscribeLedStatus(line, ({ ledIndex, status }) => {
+      setCommanded((prev) => ({ ...prev, [ledIndex]: status }));
+    });
+    const stopStatus = mqttService.subscribeDeviceStatus(line, (message) => {
+      setLastReportAt(new Date());
+      if (typeof message.online === 'boolean') {
+        setDeviceOnline(message.online);
+      }
+      if (Array.isArray(message.leds)) {
+        setReported(Object.fromEntries(message.leds.map((status, idx) => [idx, status])));
+      } else if (message.ledIndex !== undefined) {
+        setReported((prev) => ({ ...prev, [message.ledIndex]: message.status }));
+      }
+    });
+    return () => {
+      stopLed();
+      stopStatus();
+    };
+  }, [line]);
+
+  const slots = Array.from({ length: ledCount }, (_, idx) => {
+    const op = operators.find((o) => o.ledIndex === idx);
+    const expected = op && presentIds.has(op._id) ? 'on' : 'off';
+    const actual = reported[idx];
+    return { idx, op, expected, commanded: commanded[idx], actual, mismatch: actual !== undefined && actual !== expected };
+  });
+  const mismatchCount = slots.filter((slot) => slot.mismatch).length;
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <h2 className="text-xl font-semibold">LED Board</h2>
+        <span className="text-sm">
+          Board:{' '}
+          {deviceOnline === null ? (
+            <span className="text-gray-500">no report yet</span>
+          ) : deviceOnline ? (
+            <span className="text-green-600">online</span>
+          ) : (
+            <span className="text-red-600">offline</span>
+          )}
+          {lastReportAt && <span className="text-gray-500"> (last report {lastReportAt.toLocaleTimeString()})</span>}
+        </span>
+        {mismatchCount > 0 && (
+          <span className="text-sm text-red-600 font-semibold">
+            {mismatchCount} LED(s) differ from attendance
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {slots.map(({ idx, op, expected, commanded: sent, actual, mismatch }) => (
+          <div
+            key={idx}
+            title={`${ledStations[idx] || 'No fixed station'} | expected ${expected}, sent ${sent || '-'}, board ${actual || '-'}`}
+            className={`w-24 h-20 border rounded p-1 text-xs overflow-hidden ${
+              (actual || expected) === 'on' ? 'bg-green-100' : 'bg-gray-100'
+            } ${mismatch ? 'ring-2 ring-red-500' : ''}`}
+          >
+            <div className="flex items-center justify-between">
+              <span className="font-bold">#{idx}</span>
+              <span
+                className={`inline-block w-3 h-3 rounded-full ${
+                  actual === undefined ? 'bg-gray-300' : actual === 'on' ? 'bg-green-500' : 'bg-gray-500'
+                }`}
+              />
+            </div>
+            <div className="truncate">{op ? op.name : 'Empty'}</div>
+            <div className="truncate text-gray-500">{mismatch ? `board ${actual}, expected ${expected}` : expected}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LedBoardPanel;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+
+// Clickable picture of a line's LED strip. Click a slot to select it, then
+// click another slot to move the operator there (swapping if it is taken),
+// or pick an operator from the list to assign to the selected slot.
+const LedStripEditor = ({ ledCount, ledStations, operators, onMove }) => {
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const operatorAt = (idx) => operators.find((op) => op.ledIndex === idx);
+
+  const move = async (operator, targetIndex) => {
+    setIsSaving(true);
+    try {
+      await onMove(operator, targetIndex);
+    } finally {
+      setIsSaving(false);
+      setSelectedIndex(null);
+    }
+  };
+
+  const handleSlotClick = (idx) => {
+    if (isSaving) return;
+    if (selectedIndex === null || selectedIndex === idx) {
+      setSelectedIndex(selectedIndex === idx ? null : idx);
+      return;
+    }
+    const selectedOperator = operatorAt(selectedIndex);
+    if (selectedOperator) {
+      move(selectedOperator, idx);
+    } else if (operatorAt(idx)) {
+      move(operatorAt(idx), selectedIndex);
+    } else {
+      setSelectedIndex(idx);
+    }
+  };
+
+  const handleAssign = (operatorId) => {
+    const operator = operators.find((op) => op._id === operatorId);
+    if (operator && operator.ledIndex !== selectedIndex) {
+      move(operator, selectedIndex);
+    }
+  };
+
+  const selectedOperator = selectedIndex !== null ? operatorAt(selectedIndex) : null;
+
+  return (
+    <div className="mb-4 border p-2">
+      <h3 className="text-lg font-semibold mb-2">LED Strip ({ledCount} LEDs)</h3>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {Array.from({ length: ledCount }, (_, idx) => {
+          const op = operatorAt(idx);
+          return (
+            <button
+              key={idx}
+              type="button"
+              onClick={() => handleSlotClick(idx)}
+              title={ledStations[idx] || 'No fixed station'}
+              className={`w-24 h-20 border rounded p-1 text-xs text-left overflow-hidden ${
+                op ? 'bg-green-100' : 'bg-gray-100'
+              } ${selectedIndex === idx ? 'ring-2 ring-blue-500' : ''}`}
+            >
+              <div className="font-bold">#{idx}</div>
+              <div className="truncate">{op ? op.name : 'Empty'}</div>
+              <div className="truncate text-gray-500">{ledStations[idx] || '-'}</div>
+            </button>
+          );
+        })}
+      </div>
+      {selectedIndex !== null && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm">
+            LED #{selectedIndex}
+            {ledStations[selectedIndex] ? ` (${ledStations[selectedIndex]})` : ''}:{' '}
+            {selectedOperator ? selectedOperator.name : 'empty'}. Click another slot to move or swap, or assign:
+          </span>
+          <select
+            value=""
+            onChange={(e) => handleAssign(e.target.value)}
+            disabled={isSaving}
+            className="border p-1"
+          >
+            <option value="">Select Operator</option>
+            {operators.map((op) => (
+              <option key={op._id} value={op._id}>
+                {op.name} (LED {op.ledIndex})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {isSaving && <p className="text-sm text-gray-600">Saving...</p>}
+    </div>
+  );
+};
+
+export default LedStripEditor;
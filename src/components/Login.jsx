@@ -1,37 +1,56 @@
 import { api } from '../services/api';
-import React, { useState, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useContext, useEffect } from 'react';
+import { useNavigate, Navigate, Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import logo from '../assets/Padget.jpeg';
+import { LinesContext } from '../context/LinesContext';
 
 const Login = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [line, setLine] = useState('line1');
+  const [remember, setRemember] = useState(false);
   const [error, setError] = useState(null);
-  const { login } = useContext(AuthContext);
+  const { user, login } = useContext(AuthContext);
+  const { lines } = useContext(LinesContext);
   const navigate = useNavigate();
 
+  // Keep the selection valid when the line catalogue arrives
+  useEffect(() => {
+    if (lines.length > 0 && !lines.some((l) => l.id === line)) {
+      setLine(lines[0].id);
+    }
+  }, [lines, line]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      const response = await api.post('/api/auth/login', {
-        username,
-        password,
-        line,
+      const response = await api.post(
+        '/api/auth/login',
+        { username, password, line },
+        { skipAuthRefresh: true }
+      );
+      const session = login(response.data.token, response.data.line || line, response.data.role, {
+        refreshToken: response.data.refreshToken,
+        remember,
       });
-      login(response.data.token, response.data.line);
-      localStorage.setItem('token', response.data.token);
-      navigate(`/${line}`);
+      navigate(`/${session.line}`);
     } catch (error) {
       if (error.response && error.response.data.message) {
         setError(error.response.data.message);
+      } else if (!error.request) {
+        setError(error.message);
       } else {
         setError('Server Error');
       }
     }
   };
 
+  // Already signed in: go straight to the line
+  if (user) {
+    return <Navigate to={`/${user.line}`} replace />;
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-100 via-white to-gray-100 p-4">
       <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md transform transition-all hover:scale-105 duration-300">
@@ -83,9 +102,9 @@ const Login = () => {
               value={line}
               onChange={(e) => setLine(e.target.value)}
             >
-              <option value="line1">Line 1</option>
-              <option value="line2">Line 2</option>
-              <option value="line3">Line 3</option>
+              {lines.map((l) => (
+                <option key={l.id} value={l.id}>{l.name}</option>
+              ))}
             </select>
           </div>
           <div className="flex items-center justify-between">
@@ -93,15 +112,17 @@ const Login = () => {
               <input
                 type="checkbox"
                 className="form-checkbox h-4 w-4 text-purple-600 transition"
+                checked={remember}
+                onChange={(e) => setRemember(e.target.checked)}
               />
               <span className="ml-2 text-sm text-gray-600">Remember me</span>
             </label>
-            <a
-              href="#"
+            <Link
+              to="/forgot-password"
               className="text-sm text-purple-600 hover:text-purple-800 transition"
             >
               Forgot Password?
-            </a>
+            </Link>
           </div>
           <button
             type="submit"
@@ -1,11 +1,48 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useContext, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { LinesContext, useLineConfig } from '../context/LinesContext';
+import { can } from '../services/permissions';
 import { api } from '../services/api';
-import Webcam from 'react-webcam';
 import * as faceapi from 'face-api.js';
-import '@tensorflow/tfjs-backend-webgl';
-import '@tensorflow/tfjs-backend-cpu';
 import { mqttService } from '../services/mqttService';
+import { loadMqttConfig } from '../services/mqttConfig';
+import LedBoardPanel from './LedBoardPanel';
+import StationCoveragePanel from './StationCoveragePanel';
+import UpdateOperatorsModal from './UpdateOperatorsModal';
+import MarkAttendanceModal from './MarkAttendanceModal';
+import ExportAttendanceModal from './ExportAttendanceModal';
+import ViewOperatorsModal from './ViewOperatorsModal';
+import CalibrationModal from './CalibrationModal';
+import ViewErrorsModal from './ViewErrorsModal';
+import {
+  DETECTORS,
+  getDetectorSetting,
+  setDetectorSetting,
+  loadFacePipeline,
+  detectFace,
+} from '../services/facePipeline';
+import { getCachedDescriptors, setCachedDescriptors } from '../services/descriptorCache';
+import {
+  DEFAULT_MATCH_THRESHOLD,
+  matchThresholdFor,
+  getOperatorImagePaths,
+} from '../services/faceMatching';
+import { captureApiErrors } from '../services/errorLog';
+import {
+  isQueueableError,
+  queueAttendance,
+  getPendingAttendance,
+  flushAttendanceQueue,
+  ATTENDANCE_POST_TIMEOUT_MS,
+} from '../services/attendanceQueue';
+import { nextShiftEnd, nextOccurrence, localDate } from '../services/shiftConfig';
+import {
+  getOnShiftOperatorIds,
+  buildSessions,
+  formatDuration,
+} from '../services/attendanceEvents';
+import { displayDateTime } from '../services/dateTime';
 
 //comment
 
@@ -14,683 +51,518 @@ window.addEventListener('unhandledrejection', function(event) {
   console.error('Unhandled promise rejection:', event.reason);
 });
 
+// How often to retry posting marks queued while the backend was unreachable
+const PENDING_RETRY_MS = 30 * 1000;
+
+const MIDNIGHT = { hour: 0, minute: 0 };
+
+// Message for the page's error banner when loading from the backend fails
+const loadErrorMessage = (error) => {
+  if (error.response) {
+    return `Server error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}`;
+  }
+  if (error.request) {
+    return 'Cannot connect to the server. Please check if it’s running.';
+  }
+  return 'An unexpected error occurred while loading data.';
+};
+
+// Add `records` to `list`, skipping ones already in it (e.g. our own events
+// coming back from the broker)
+const mergeRecords = (list, records) => {
+  const known = new Set(list.map((record) => record._id));
+  const added = records.filter((record) => !record._id || !known.has(record._id));
+  return added.length > 0 ? [...list, ...added] : list;
+};
+
+// Whether two reads of the attendance queue hold the same marks
+const samePendingEntries = (a, b) =>
+  a.length === b.length && a.every((entry, idx) => entry.key === b[idx].key && entry.timestamp === b[idx].timestamp);
+
 const MainPage = () => {
   const { line } = useParams();
+  const { user } = useContext(AuthContext);
+  const { lines } = useContext(LinesContext);
+  const lineConfig = useLineConfig(line);
+  const stations = lineConfig?.stations || [];
+  const ledCount = lineConfig?.ledCount || 0;
+  const ledStations = lineConfig?.ledStations || [];
+  const matchThreshold = lineConfig?.matchThreshold || DEFAULT_MATCH_THRESHOLD;
+  const navigate = useNavigate();
   const [operators, setOperators] = useState([]);
   const [attendance, setAttendance] = useState([]);
+  // Line whose operators / attendance are loaded; the LEDs are only synced once both are
+  const [operatorsLine, setOperatorsLine] = useState(null);
+  const [attendanceLine, setAttendanceLine] = useState(null);
+  // Local date the dashboard shows; moves on at midnight
+  const [today, setToday] = useState(localDate);
+  // Marks queued offline for this line, not yet accepted by the backend
+  const [pendingAttendance, setPendingAttendance] = useState([]);
   const [showUpdateModal, setShowUpdateModal] = useState(false);
   const [showMarkModal, setShowMarkModal] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
   const [showViewOperatorsModal, setShowViewOperatorsModal] = useState(false);
   const [showErrorsModal, setShowErrorsModal] = useState(false);
+  const [showCalibrationModal, setShowCalibrationModal] = useState(false);
   const [modelsLoaded, setModelsLoaded] = useState(false);
+  const [detector, setDetector] = useState(getDetectorSetting);
   const [error, setError] = useState('');
-  const webcamRef = useRef(null);
+  const [mqttStatus, setMqttStatus] = useState(mqttService.status);
+  // Set when a shift ends, to re-render with its operators off shift
+  const [, setLastShiftEnd] = useState(null);
+  // Face descriptors computed for an operator list, kept while the modals open and close
+  const descriptorsRef = useRef({ operators: null, descriptors: [] });
 
   useEffect(() => {
     const loadModelsAndData = async () => {
       try {
-        await faceapi.tf.setBackend('webgl');
-        await faceapi.tf.ready();
-        await Promise.all([
-          faceapi.nets.ssdMobilenetv1.loadFromUri('/models'),
-          faceapi.nets.faceLandmark68Net.loadFromUri('/models'),
-          faceapi.nets.faceRecognitionNet.loadFromUri('/models'),
-        ]);
+        await loadFacePipeline(getDetectorSetting());
         setModelsLoaded(true);
 
-        const [operatorsRes, attendanceRes] = await Promise.all([
-          api.get(`/api/operators/${line}`),
-          api.get(`/api/attendance/${line}/${new Date().toISOString().split('T')[0]}`),
-        ]);
-
+        const operatorsRes = await api.get(`/api/operators/${line}`);
         setOperators(operatorsRes.data || []);
-        setAttendance(Array.isArray(attendanceRes.data) ? attendanceRes.data : []);
+        setOperatorsLine(line);
       } catch (error) {
         console.error('Error loading models or data:', error);
-        if (error.response) {
-          setError(`Server error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}`);
-        } else if (error.request) {
-          setError('Cannot connect to the server. Please check if it’s running.');
-        } else {
-          setError('An unexpected error occurred while loading data.');
-        }
+        setError(loadErrorMessage(error));
       }
     };
     loadModelsAndData();
   }, [line]);
 
-  const today = new Date().toISOString().split('T')[0];
-
-  const UpdateOperatorsModal = ({ onClose }) => {
-    const [showAddForm, setShowAddForm] = useState(false);
-    const [formData, setFormData] = useState({ name: '', employeeId: '', station: '', ledIndex: '', file: null });
-    const [preview, setPreview] = useState(null);
+  const refreshAttendance = useCallback(async () => {
+    try {
+      const res = await api.get(`/api/attendance/${line}/${today}`);
+      setAttendance(Array.isArray(res.data) ? res.data : []);
+      setAttendanceLine(line);
+    } catch (error) {
+      console.error('Error loading attendance:', error);
+      setError(loadErrorMessage(error));
+    }
+  }, [line, today]);
 
-    // Handle file selection and preview
-    const handleFileChange = (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        setFormData({ ...formData, file });
-        // Generate a preview URL for the image
-        const previewUrl = URL.createObjectURL(file);
-        setPreview(previewUrl);
-      }
-    }; 
+  // Runs again when the date rolls over, so the page starts the new day empty
+  useEffect(() => {
+    setAttendance([]);
+    refreshAttendance();
+  }, [refreshAttendance]);
 
-    const handleAddOperator = async (e) => {
-      e.preventDefault();
-      if (!formData.file || !formData.name || !formData.employeeId || !formData.station || formData.ledIndex === '') {
-        alert('Please fill all fields, including LED Index, and upload an image.');
-        return;
-      }
+  // Roll the dashboard over to the new day at local midnight
+  useEffect(() => {
+    const now = new Date();
+    const timer = setTimeout(() => setToday(localDate()), nextOccurrence(MIDNIGHT, now) - now);
+    return () => clearTimeout(timer);
+  }, [today]);
+
+  // Records marked on other dashboards and kiosks of the line
+  useEffect(
+    () =>
+      mqttService.subscribeAttendanceEvents(line, (record) => {
+        if ((record.date || localDate(new Date(record.timestamp))) === today) {
+          setAttendance((prev) => mergeRecords(prev, [record]));
+        }
+      }),
+    [line, today]
+  );
 
-      const ledIndex = parseInt(formData.ledIndex, 10);
-      if (isNaN(ledIndex) || ledIndex < 0 || ledIndex > 20) {
-        alert('LED Index must be a number between 0 and 20.');
+  // Events published while the broker was unreachable are lost; catch up on reconnect
+  useEffect(() => {
+    let firstConnect = true;
+    return mqttService.onConnect(() => {
+      if (firstConnect) {
+        firstConnect = false;
         return;
       }
+      refreshAttendance();
+    });
+  }, [refreshAttendance]);
+
+  // Switch this device to another detector. Descriptors computed with the old
+  // one do not match the new one, so they are recomputed.
+  const handleDetectorChange = async (detectorId) => {
+    setDetectorSetting(detectorId);
+    setDetector(detectorId);
+    setModelsLoaded(false);
+    descriptorsRef.current = { operators: null, descriptors: [] };
+    try {
+      await loadFacePipeline(detectorId);
+      setModelsLoaded(true);
+    } catch (error) {
+      console.error('Error loading face models:', error);
+      setError('Could not load the face models for the selected detector.');
+    }
+  };
 
-      try {
-        // Create a unique filename
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-        const fileExtension = formData.file.name.split('.').pop();
-        const fileName = `operator-${uniqueSuffix}.${fileExtension}`;
-        const imagePath = `/images/${fileName}`; // Path relative to public folder
-
-        // Note: In a browser, you cannot directly save to public/images.
-        // For development, manually place the file in frontend/public/images or use a dev server.
-        // For deployment, images must be committed to GitHub and served by Vercel.
-
-        // Optionally, upload to a local dev server (if set up)
-        let finalImagePath = imagePath;
-        if (process.env.NODE_ENV !== 'production') {
-          const formDataToSend = new FormData();
-          formDataToSend.append('file', formData.file);
-          const uploadRes = await api.post('/upload', formDataToSend, {
-            headers: { 'Content-Type': 'multipart/form-data' },
-          });
-          finalImagePath = uploadRes.data.imagePath;
-        }
-
-        // Send operator data to backend
-        const operatorData = {
-          name: formData.name,
-          employeeId: formData.employeeId,
-          station: formData.station,
-          imagePath: finalImagePath,
-          ledIndex: ledIndex,
-        };
-
-        const res = await api.post(
-          `/api/operators/${line}`,
-          operatorData,
-          { headers: { 'Content-Type': 'application/json' } }
-        );
-
-        setOperators([...operators, res.data]);
-        setShowAddForm(false);
-        setFormData({ name: '', employeeId: '', station: '', ledIndex: '', file: null });
-        setPreview(null);
-        alert('Operator added successfully.');
-      } catch (error) {
-        console.error('Error adding operator:', error);
-        const errorMessage = error.response?.data?.message || error.message;
-        alert(`Error adding operator: ${errorMessage}`);
-      }
-    };
+  // Today's records including queued marks, so the table and the LEDs show
+  // operators as present while the backend is unreachable
+  const pendingRecords = pendingAttendance
+    .filter((entry) => entry.date === today)
+    .map((entry) => ({ ...entry, _id: entry.key, pending: true }));
+  const todaysRecords = [...attendance, ...pendingRecords];
+  const attendanceRef = useRef(todaysRecords);
+  attendanceRef.current = todaysRecords;
+  const todaysSessions = buildSessions(todaysRecords);
+
+  // Re-read the queue, keeping the current list when nothing changed so the
+  // periodic retry does not re-render the page
+  const loadPendingAttendance = useCallback(async () => {
+    const entries = await getPendingAttendance(line);
+    setPendingAttendance((prev) => (samePendingEntries(prev, entries) ? prev : entries));
+  }, [line]);
 
-    const handleDeleteOperator = async (id) => {
-      try {
-        await api.delete(`/api/operators/${line}/${id}`);
-        setOperators(operators.filter((op) => op._id !== id));
-      } catch (error) {
-        console.error('Error deleting operator:', error);
-        alert(`Error deleting operator: ${error.response?.data?.message || error.message}`);
-      }
-    };
+  // Replay queued marks and fold the ones the backend accepted into today's list
+  const syncPendingAttendance = useCallback(async () => {
+    const synced = await flushAttendanceQueue(line);
+    synced.forEach(({ record }) => mqttService.publishAttendanceEvent(line, record));
+    const todays = synced.filter(({ entry }) => entry.date === localDate());
+    if (todays.length > 0) {
+      setAttendance((prev) => mergeRecords(prev, todays.map(({ record }) => record)));
+    }
+    await loadPendingAttendance();
+  }, [line, loadPendingAttendance]);
 
-    // Helper to get available LED indexes (0-16)
-    const getAvailableLedIndexes = () => {
-      const assigned = operators.map(op => op.ledIndex);
-      const allIndexes = Array.from({ length: 21 }, (_, i) => i);
-      return allIndexes.filter(idx => !assigned.includes(idx));
+  // Retry on reconnect, and periodically since `online` does not fire when
+  // only the backend is down
+  useEffect(() => {
+    syncPendingAttendance();
+    window.addEventListener('online', syncPendingAttendance);
+    const timer = setInterval(syncPendingAttendance, PENDING_RETRY_MS);
+    return () => {
+      window.removeEventListener('online', syncPendingAttendance);
+      clearInterval(timer);
     };
-
-    return (
-      <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
-        <div className="bg-white p-6 rounded shadow-lg w-3/4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
-          <h2 className="text-xl font-bold mb-4">Update Operators</h2>
-          <button onClick={() => setShowAddForm(true)} className="bg-green-500 text-white px-4 py-2 rounded mb-4">
-            Add New Operator
-          </button>
-          <table className="min-w-full bg-white border">
-            <thead>
-              <tr>
-                <th className="py-2 px-4 border">Name</th>
-                <th className="py-2 px-4 border">Employee ID</th>
-                <th className="py-2 px-4 border">Station</th>
-                <th className="py-2 px-4 border">LED Index</th>
-                <th className="py-2 px-4 border">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {operators.map((op) => (
-                <tr key={op._id} className="border-t">
-                  <td className="py-2 px-4">{op.name}</td>
-                  <td className="py-2 px-4">{op.employeeId}</td>
-                  <td className="py-2 px-4">{op.station}</td>
-                  <td className="py-2 px-4">{op.ledIndex}</td>
-                  <td className="py-2 px-4">
-                    <button onClick={() => handleDeleteOperator(op._id)} className="text-red-500 hover:underline">
-                      Delete
-                    </button>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-          {showAddForm && (
-            <div className="mt-4">
-              <form onSubmit={handleAddOperator}>
-                <input
-                  type="text"
-                  placeholder="Name"
-                  value={formData.name}
-                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                  className="border p-2 mb-2 w-full"
-                />
-                <input
-                  type="text"
-                  placeholder="Employee ID"
-                  value={formData.employeeId}
-                  onChange={(e) => setFormData({ ...formData, employeeId: e.target.value })}
-                  className="border p-2 mb-2 w-full"
-                />
-                <select
-                  value={formData.station}
-                  onChange={(e) => setFormData({ ...formData, station: e.target.value })}
-                  className="border p-2 mb-2 w-full"
-                  required
-                >
-                  <option value="">Select Station</option>
-                  <option value="Main Board VI">Main Board VI</option>
-                  <option value="Sub board VI">Sub board VI</option>
-                  <option value="LDA Inspection">LDA Inspection</option>
-                  <option value="Front camera copper foil paste">Front camera copper foil paste</option>
-                  <option value="Front camera installation">Front camera installation</option>
-                  <option value="Rear camera installation">Rear camera installation</option>
-                  <option value="IDLE">IDLE</option>
-                  <option value="Middle Frame Installation (1)">Middle Frame Installation (1)</option>
-                  <option value="Middle Frame Installation (2)">Middle Frame Installation (2)</option>
-                  <option value="Key Part 3 (1)">Key Part 3 (1)</option>
-                  <option value="Key Part 3 (2)">Key Part 3 (2)</option>
-                  <option value="YH2">YH2</option>
-                  <option value="Middle Frame Inspection">Middle Frame Inspection</option>
-                  <option value="Battery cover Pressing (1)">Battery cover Pressing (1)</option>
-                  <option value="Battery cover Pressing (2)">Battery cover Pressing (2)</option>
-                  <option value="Battery cover VI (1)">Battery cover VI (1)</option>
-                  <option value="Battery cover VI (2)">Battery cover VI (2)</option>
-                  <option value="Aging">Aging</option>
-                  <option value="Vibrator installation">Vibrator installation</option>
-                  <option value="Speaker installation">Speaker installation</option>
-                  <option value="Receiver installation">Receiver installation</option>
-                </select>
-                <select
-                  value={formData.ledIndex}
-                  onChange={(e) => setFormData({ ...formData, ledIndex: e.target.value })}
-                  className="border p-2 mb-2 w-full"
-                  required
-                >
-                  <option value="">Select LED Index</option>
-                  {getAvailableLedIndexes().map(idx => (
-                    <option key={idx} value={idx}>{idx}</option>
-                  ))}
-                </select>
-                <input
-                  type="file"
-                  accept="image/*"
-                  onChange={handleFileChange}
-                  className="border p-2 mb-2 w-full"
-                />
-                {preview && (
-                  <img src={preview} alt="Preview" className="w-32 h-32 object-cover mb-2" />
-                )}
-                <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded">
-                  Add Operator
-                </button>
-              </form>
-            </div>
-          )}
-          <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
-        </div>
-      </div>
-    );
-  };
-
-  const MarkAttendanceModal = ({ onClose }) => {
-    const [labeledDescriptors, setLabeledDescriptors] = useState([]);
-    const [isRecognizing, setIsRecognizing] = useState(false);
-
-    const startVideo = async () => {
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480 } });
-        if (webcamRef.current) {
-          webcamRef.current.video.srcObject = stream;
-          webcamRef.current.video.onloadedmetadata = () => {
-            console.log('Video metadata loaded:', {
-              width: webcamRef.current.video.videoWidth,
-              height: webcamRef.current.video.videoHeight,
-            });
-          };
-        }
-      } catch (err) {
-        console.error('Camera access error:', err);
-        setIsRecognizing(false);
-        alert('Failed to access webcam. Please ensure camera access is granted.');
-      }
+  }, [syncPendingAttendance]);
+
+  // Post a check-in or check-out decided by decideAttendanceEvent(), or queue
+  // it when the backend cannot be reached, and switch the operator's LED.
+  // Resolves to the saved record, with `pending: true` when it was queued.
+  const postAttendance = useCallback(async (matchedOperator, timestamp, { type, shift }) => {
+    const attendanceRecord = {
+      operatorId: matchedOperator._id,
+      date: localDate(new Date(timestamp)),
+      timestamp,
+      type,
+      shift: shift?.name,
     };
+    console.log('Sending attendance record:', attendanceRecord);
+    let record;
+    try {
+      const response = await api.post(
+        `/api/attendance/${line}`,
+        attendanceRecord,
+        { timeout: ATTENDANCE_POST_TIMEOUT_MS }
+      );
+      record = response.data;
+      setAttendance((prev) => mergeRecords(prev, [record]));
+      mqttService.publishAttendanceEvent(line, record);
+    } catch (error) {
+      if (!isQueueableError(error)) throw error;
+      console.warn('Backend unreachable, queueing attendance:', error.message);
+      record = { ...(await queueAttendance(line, matchedOperator, attendanceRecord)), pending: true };
+      await loadPendingAttendance();
+    }
+    mqttService.publishLedStatus(line, matchedOperator.ledIndex, type === 'in' ? 'on' : 'off');
+    return record;
+  }, [line, loadPendingAttendance]);
+
+  // Largest match distance accepted for the operator with this id
+  const thresholdFor = useCallback(
+    (operatorId) => matchThresholdFor(operators.find((op) => op._id === operatorId), matchThreshold),
+    [operators, matchThreshold]
+  );
 
-    useEffect(() => {
-      if (!modelsLoaded) return;
-
-      const loadDescriptors = async () => {
-        if (operators.length === 0) {
-          setLabeledDescriptors([]);
-          return;
-        }
+  // Face descriptors of every operator with usable photos, from the IndexedDB
+  // cache or computed from the photos. Kept in descriptorsRef until the
+  // operator list or the detector changes.
+  const loadLabeledDescriptors = useCallback(async () => {
+    if (descriptorsRef.current.operators === operators) {
+      return descriptorsRef.current.descriptors;
+    }
+    const descriptors = await Promise.all(
+      operators.map(async (op) => {
+        try {
+          const cached = await getCachedDescriptors(op);
+          if (cached) {
+            return new faceapi.LabeledFaceDescriptors(op._id, cached);
+          }
 
-        const descriptors = await Promise.all(
-          operators.map(async (op) => {
-            try {
-              // Use the frontend's base URL for deployed images
-              const baseUrl = import.meta.env.VITE_FRONTEND_URL || '';
-              const imageUrl = `${baseUrl}${op.imagePath}`;
-              console.log(`Fetching image for operator ${op.name}: ${imageUrl}`);
-              const img = await faceapi.fetchImage(imageUrl);
-              const detection = await faceapi
-                .detectSingleFace(img, new faceapi.SsdMobilenetv1Options({ minConfidence: 0.5 }))
-                .withFaceLandmarks()
-                .withFaceDescriptor();
-              if (!detection) {
-                console.warn(`No face detected in image for operator ${op.name}`);
-                return null;
-              }
-              return new faceapi.LabeledFaceDescriptors(op._id, [detection.descriptor]);
-            } catch (error) {
-              console.error(`Error loading image for operator ${op.name}:`, error);
-              return null;
+          // Use the frontend's base URL for deployed images
+          const baseUrl = import.meta.env.VITE_FRONTEND_URL || '';
+          const opDescriptors = [];
+          for (const imagePath of getOperatorImagePaths(op)) {
+            const imageUrl = `${baseUrl}${imagePath}`;
+            console.log(`Fetching image for operator ${op.name}: ${imageUrl}`);
+            const img = await faceapi.fetchImage(imageUrl);
+            const detection = await detectFace(img).withFaceDescriptor();
+            if (!detection) {
+              console.warn(`No face detected in image ${imagePath} for operator ${op.name}`);
+              continue;
             }
-          })
-        );
-        const validDescriptors = descriptors.filter((d) => d !== null);
-        setLabeledDescriptors(validDescriptors);
-        if (validDescriptors.length === 0) {
-          alert('No valid face descriptors found for operators.');
+            opDescriptors.push(detection.descriptor);
+          }
+          if (opDescriptors.length === 0) {
+            return null;
+          }
+          setCachedDescriptors(op, opDescriptors);
+          return new faceapi.LabeledFaceDescriptors(op._id, opDescriptors);
+        } catch (error) {
+          console.error(`Error loading image for operator ${op.name}:`, error);
+          return null;
         }
-      };
+      })
+    );
+    const validDescriptors = descriptors.filter((d) => d !== null);
+    descriptorsRef.current = { operators, descriptors: validDescriptors };
+    return validDescriptors;
+  }, [operators]);
 
-      loadDescriptors();
-    }, [modelsLoaded]);
+  // Record failed API calls for the View Errors dashboard
+  useEffect(() => captureApiErrors(line), [line]);
 
-    const recognizeFace = async () => {
-      if (!webcamRef.current || webcamRef.current.video.readyState !== 4) {
-        alert('Webcam is not ready. Please ensure camera access is granted.');
-        setIsRecognizing(false);
-        return;
-      }
-      if (labeledDescriptors.length === 0) {
-        alert('No operators with valid face data for this station.');
-        setIsRecognizing(false);
+  useEffect(() => {
+    let cancelled = false;
+    const connectMqtt = async () => {
+      const config = await loadMqttConfig();
+      if (cancelled) return;
+      if (!config) {
+        console.warn('No MQTT broker configured; LED board updates are disabled.');
         return;
       }
-
-      const faceMatcher = new faceapi.FaceMatcher(labeledDescriptors);
-      console.log('Face matcher initialized with', labeledDescriptors.length, 'known faces');
-
-      const startTime = Date.now();
-      try {
-        const detection = await faceapi
-          .detectSingleFace(webcamRef.current.video, new faceapi.SsdMobilenetv1Options({ minConfidence: 0.5 }))
-          .withFaceLandmarks()
-          .withFaceDescriptor();
-        const currentTimestamp = new Date().toISOString();
-
-        if (!detection) {
-          alert('No face detected in webcam feed.');
-          setIsRecognizing(false);
-          return;
-        }
-
-        const bestMatch = faceMatcher.findBestMatch(detection.descriptor);
-        const endTime = Date.now();
-        console.log(`Recognition time: ${(endTime - startTime) / 1000} seconds`);
-
-        if (bestMatch.label !== 'unknown' && bestMatch.distance < 0.6) {
-          const matchedOperator = operators.find((op) => op._id === bestMatch.label);
-          if (matchedOperator) {
-            const attendanceRecord = {
-              operatorId: matchedOperator._id,
-              date: today,
-              timestamp: currentTimestamp,
-            };
-            console.log('Sending attendance record:', attendanceRecord);
-            try {
-              const response = await api.post(
-                `/api/attendance/${line}`,
-                attendanceRecord
-              );
-              setAttendance([...attendance, response.data]);
-              alert(`Attendance marked successfully for ${matchedOperator.name} at ${matchedOperator.station} (distance: ${bestMatch.distance.toFixed(3)})`);
-            } catch (error) {
-              console.error('Error marking attendance:', error);
-              alert('Error marking attendance. Please try again.');
-            }
-          } else {
-            alert('Matched operator not found.');
-          }
-        } else {
-          alert('No suitable operator found for the detected face (no match >= 60%).');
-        }
-      } catch (error) {
-        console.error('Error during face recognition:', error);
-        alert('An error occurred during face recognition.');
-      } finally {
-        setIsRecognizing(false);
-        if (webcamRef.current && webcamRef.current.video.srcObject) {
-          webcamRef.current.video.srcObject.getTracks().forEach((track) => track.stop());
-        }
-      }
+      mqttService.connect(config);
     };
+    connectMqtt();
+    return () => {
+      cancelled = true;
+      mqttService.disconnect();
+    };
+  }, []);
 
-    useEffect(() => {
-      if (showMarkModal) {
-        startVideo();
-      }
-      return () => {
-        if (webcamRef.current && webcamRef.current.video.srcObject) {
-          webcamRef.current.video.srcObject.getTracks().forEach((track) => track.stop());
-        }
-      };
-    }, [showMarkModal]);
+  useEffect(() => mqttService.onStatusChange(setMqttStatus), []);
 
-    const handleMarkAttendance = async () => {
-      setIsRecognizing(true);
-      try {
-        await recognizeFace();
-      } catch (error) {
-        console.error('Error marking attendance:', error);
-        alert('Error marking attendance');
-      } finally {
-        setIsRecognizing(false);
-      }
+  // Republish every LED from today's attendance whenever the broker (re)connects,
+  // and once the line's operators and attendance have both loaded
+  const lineLoaded = operatorsLine === line && attendanceLine === line;
+  useEffect(() => {
+    if (!lineLoaded || operators.length === 0) return;
+    return mqttService.onConnect(() => {
+      mqttService.syncLine(line, operators, getOnShiftOperatorIds(operators, attendanceRef.current), ledCount);
+    });
+  }, [line, operators, ledCount, lineLoaded]);
+
+  // At the end of each shift, switch off the LEDs of everyone checked in for
+  // it, and re-render so the LED board and coverage drop them too; operators
+  // of an overlapping shift stay lit
+  useEffect(() => {
+    let timer;
+    const schedule = () => {
+      const now = new Date();
+      const { at } = nextShiftEnd(now);
+      timer = setTimeout(() => {
+        mqttService.syncLine(line, operators, getOnShiftOperatorIds(operators, attendanceRef.current, at), ledCount);
+        setLastShiftEnd(at);
+        schedule();
+      }, at - now);
     };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [line, operators, ledCount]);
 
-    return (
-      <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
-        <div className="bg-white p-6 rounded shadow-lg w-3/4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
-          <h2 className="text-xl font-bold mb-4">Mark Attendance</h2>
-          <p className="text-gray-600 mb-4">Position your face in front of the camera. The system will automatically detect your identity and station.</p>
-          <div className="mb-4">
-            <Webcam
-              audio={false}
-              ref={webcamRef}
-              screenshotFormat="image/jpeg"
-              className="w-full h-auto rounded"
-              videoConstraints={{ width: 640, height: 480 }}
-            />
-          </div>
+  return (
+    <div className="p-4">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h1 className="text-2xl font-bold">Attendance System - Line {line}</h1>
+        <span
+          title="LED board connection"
+          className={`px-3 py-1 rounded-full text-sm ${
+            mqttStatus === 'connected'
+              ? 'bg-green-100 text-green-800'
+              : mqttStatus === 'offline'
+                ? 'bg-red-100 text-red-800'
+                : 'bg-yellow-100 text-yellow-800'
+          }`}
+        >
+          LED board: {mqttStatus}
+        </span>
+        {pendingAttendance.length > 0 && (
           <button
-            onClick={handleMarkAttendance}
-            disabled={isRecognizing}
-            className={`bg-blue-500 text-white px-4 py-2 rounded mb-4 ${isRecognizing ? 'opacity-50 cursor-not-allowed' : ''}`}
+            onClick={syncPendingAttendance}
+            title="Marks saved on this device while the server was unreachable. Click to retry now."
+            className="px-3 py-1 rounded-full text-sm bg-orange-100 text-orange-800"
           >
-            {isRecognizing ? 'Recognizing...' : 'Mark Attendance'}
+            {pendingAttendance.length} pending sync
           </button>
-          <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
-        </div>
+        )}
+        {can(user, 'configureDevice') && (
+          <select
+            value={detector}
+            onChange={(e) => handleDetectorChange(e.target.value)}
+            title="Face detector used on this device"
+            className="border p-2 rounded"
+          >
+            {Object.entries(DETECTORS).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        )}
+        {can(user, 'switchLine') && (
+          <select
+            value={line}
+            onChange={(e) => navigate(`/${e.target.value}`)}
+            className="border p-2 rounded"
+          >
+            {lines.map((l) => (
+              <option key={l.id} value={l.id}>{l.name}</option>
+            ))}
+          </select>
+        )}
       </div>
-    );
-  };
-
-  const ExportAttendanceModal = ({ onClose }) => {
-    const [exportDate, setExportDate] = useState(today);
-
-    const handleExport = async () => {
-      try {
-        const response = await api.get(`/api/attendance/${line}/${exportDate}`, {
-          responseType: 'blob',
-        });
-        const url = window.URL.createObjectURL(new Blob([response.data]));
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `attendance_${line}_${exportDate}.xlsx`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        window.URL.revokeObjectURL(url);
-        alert('Export successful!');
-      } catch (error) {
-        console.error('Error exporting attendance:', error);
-        alert('Error exporting attendance. Please try again.');
-      }
-    };
-
-    return (
-      <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
-        <div className="bg-white p-6 rounded shadow-lg w-3/4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
-          <h2 className="text-xl font-bold mb-4">Export Attendance</h2>
-          <div className="mb-4">
-            <label className="block text-sm font-medium mb-2">Select Date:</label>
-            <input
-              type="date"
-              value={exportDate}
-              onChange={(e) => setExportDate(e.target.value)}
-              className="border p-2 rounded w-full"
-            />
-          </div>
-          <button onClick={handleExport} className="bg-blue-500 text-white px-4 py-2 rounded mb-4">
+      {error && <div className="text-red-500 mb-4">{error}</div>}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {can(user, 'manageOperators') && (
+          <button onClick={() => setShowUpdateModal(true)} className="bg-blue-500 text-white px-4 py-2 rounded">
+            Update Operators
+          </button>
+        )}
+        {can(user, 'markAttendance') && (
+          <button onClick={() => setShowMarkModal(true)} className="bg-green-500 text-white px-4 py-2 rounded">
+            Mark Attendance
+          </button>
+        )}
+        {can(user, 'viewOperators') && (
+          <button onClick={() => setShowViewOperatorsModal(true)} className="bg-purple-500 text-white px-4 py-2 rounded">
+            View Operators
+          </button>
+        )}
+        {can(user, 'exportAttendance') && (
+          <button onClick={() => setShowExportModal(true)} className="bg-yellow-500 text-white px-4 py-2 rounded">
             Export Attendance
           </button>
-          <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
-        </div>
+        )}
       </div>
-    );
-  };
-
-  const ViewOperatorsModal = ({ onClose }) => {
-    const [selectedStation, setSelectedStation] = useState('');
-    const stations = [...new Set(operators.map((op) => op.station))];
-    const filteredOperators = selectedStation 
-      ? operators.filter((op) => op.station === selectedStation)
-      : operators;
-
-    return (
-      <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
-        <div className="bg-white p-6 rounded shadow-lg w-4/5 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
-          <h2 className="text-xl font-bold mb-4">View Operators</h2>
-          <div className="mb-4">
-            <label className="block text-sm font-medium mb-2">Filter by Station:</label>
-            <select
-              value={selectedStation}
-              onChange={(e) => setSelectedStation(e.target.value)}
-              className="border p-2 rounded w-full"
-            >
-              <option value="">All Stations</option>
-              {stations.map((station, idx) => (
-                <option key={idx} value={station}>{station}</option>
-              ))}
-            </select>
-          </div>
+      {can(user, 'viewAttendance') && (
+        <LedBoardPanel
+          line={line}
+          ledCount={ledCount}
+          ledStations={ledStations}
+          operators={operators}
+          presentIds={getOnShiftOperatorIds(operators, todaysRecords)}
+        />
+      )}
+      {can(user, 'viewAttendance') && (
+        <StationCoveragePanel stations={stations} operators={operators} records={todaysRecords} />
+      )}
+      {can(user, 'viewAttendance') && (
+        <div>
+          <h2 className="text-xl font-semibold mb-2">Today's Attendance</h2>
           <table className="min-w-full bg-white border">
             <thead>
               <tr>
-                <th className="py-2 px-4 border">Name</th>
+                <th className="py-2 px-4 border">Operator Name</th>
                 <th className="py-2 px-4 border">Employee ID</th>
                 <th className="py-2 px-4 border">Station</th>
-                <th className="py-2 px-4 border">LED Index</th>
-                <th className="py-2 px-4 border">Image</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredOperators.map((op) => (
-                <tr key={op._id} className="border-t">
-                  <td className="py-2 px-4">{op.name}</td>
-                  <td className="py-2 px-4">{op.employeeId}</td>
-                  <td className="py-2 px-4">{op.station}</td>
-                  <td className="py-2 px-4">{op.ledIndex}</td>
-                  <td className="py-2 px-4">
-                    <img 
-                      src={`${import.meta.env.VITE_FRONTEND_URL || ''}${op.imagePath}`} 
-                      alt={op.name}
-                      className="w-16 h-16 object-cover rounded"
-                      onError={(e) => {
-                        e.target.style.display = 'none';
-                      }}
-                    />
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-          <div className="mt-4 flex gap-2">
-            <button onClick={() => setShowErrorsModal(true)} className="bg-red-500 text-white px-4 py-2 rounded">
-              View Errors
-            </button>
-            <button onClick={onClose} className="text-blue-500 hover:underline">Close</button>
-          </div>
-        </div>
-      </div>
-    );
-  };
-
-  const ViewErrorsModal = ({ onClose }) => {
-    // Mock error data - replace with actual API call
-    const errors = [
-      { sNo: 1, errorCode: 'ERR001', headCount: 5 },
-      { sNo: 2, errorCode: 'ERR002', headCount: 3 },
-      { sNo: 3, errorCode: 'ERR003', headCount: 7 },
-      { sNo: 4, errorCode: 'ERR004', headCount: 2 },
-      { sNo: 5, errorCode: 'ERR005', headCount: 4 },
-    ];
-
-    return (
-      <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
-        <div className="bg-white p-6 rounded shadow-lg w-4/5 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
-          <h2 className="text-xl font-bold mb-4">View Errors</h2>
-          <table className="min-w-full bg-white border">
-            <thead>
-              <tr>
-                <th className="py-2 px-4 border">S.No.</th>
-                <th className="py-2 px-4 border">Error Code</th>
-                <th className="py-2 px-4 border">Head Count</th>
+                <th className="py-2 px-4 border">Shift</th>
+                <th className="py-2 px-4 border">In</th>
+                <th className="py-2 px-4 border">Out</th>
+                <th className="py-2 px-4 border">Worked</th>
+                <th className="py-2 px-4 border">Flags</th>
+                <th className="py-2 px-4 border">Status</th>
               </tr>
             </thead>
             <tbody>
-              {errors.map((error) => (
-                <tr key={error.sNo} className="border-t">
-                  <td className="py-2 px-4">{error.sNo}</td>
-                  <td className="py-2 px-4">{error.errorCode}</td>
-                  <td className="py-2 px-4">{error.headCount}</td>
+              {todaysSessions.length === 0 ? (
+                <tr>
+                  <td colSpan="9" className="py-2 px-4 text-center">No attendance records found for today.</td>
                 </tr>
-              ))}
+              ) : (
+                todaysSessions.map((session) => {
+                  const { record } = session;
+                  return (
+                    <tr key={record._id} className={`border-t ${session.pending ? 'bg-orange-50' : ''}`}>
+                      <td className="py-2 px-4">{record.operatorName}</td>
+                      <td className="py-2 px-4">{record.employeeId}</td>
+                      <td className="py-2 px-4">{record.station}</td>
+                      <td className="py-2 px-4">{session.shift?.name || '-'}</td>
+                      <td className="py-2 px-4">{session.checkIn ? displayDateTime(session.checkIn).time : '-'}</td>
+                      <td className="py-2 px-4">{session.checkOut ? displayDateTime(session.checkOut).time : '-'}</td>
+                      <td className="py-2 px-4">
+                        {session.workedMinutes === null ? '-' : formatDuration(session.workedMinutes)}
+                        {session.checkIn && !session.checkOut && <span className="text-gray-500 text-sm"> (on line)</span>}
+                      </td>
+                      <td className="py-2 px-4">
+                        {session.late && <span className="mr-2 text-red-600">Late</span>}
+                        {session.earlyLeave && <span className="text-yellow-700">Early leave</span>}
+                      </td>
+                      <td className="py-2 px-4">
+                        {session.pending ? <span className="text-orange-700">Pending</span> : 'Synced'}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
             </tbody>
           </table>
-          <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
         </div>
-      </div>
-    );
-  };
-
-  const displayDateTime = (timestamp) => {
-    if (!timestamp) {
-      console.warn('Timestamp is missing or undefined:', timestamp);
-      return { date: 'N/A', time: 'N/A' };
-    }
-    const dateObj = new Date(timestamp);
-    if (isNaN(dateObj.getTime())) {
-      console.error('Invalid timestamp received:', timestamp);
-      return { date: 'Invalid Date', time: 'Invalid Time' };
-    }
-    return {
-      date: dateObj.toLocaleDateString('en-US', {
-        timeZone: 'Asia/Kolkata',
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric',
-      }),
-      time: dateObj.toLocaleTimeString('en-US', {
-        timeZone: 'Asia/Kolkata',
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true,
-      }),
-    };
-  };
-
-  useEffect(() => {
-    mqttService.connect();
-    return () => mqttService.disconnect();
-  }, []);
-
-  return (
-    <div className="p-4">
-      <h1 className="text-2xl font-bold mb-4">Attendance System - Line {line}</h1>
-      {error && <div className="text-red-500 mb-4">{error}</div>}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
-        <button onClick={() => setShowUpdateModal(true)} className="bg-blue-500 text-white px-4 py-2 rounded">
-          Update Operators
-        </button>
-        <button onClick={() => setShowMarkModal(true)} className="bg-green-500 text-white px-4 py-2 rounded">
-          Mark Attendance
-        </button>
-        <button onClick={() => setShowViewOperatorsModal(true)} className="bg-purple-500 text-white px-4 py-2 rounded">
-          View Operators
-        </button>
-        <button onClick={() => setShowExportModal(true)} className="bg-yellow-500 text-white px-4 py-2 rounded">
-          Export Attendance
-        </button>
-      </div>
-      <div>
-        <h2 className="text-xl font-semibold mb-2">Today's Attendance</h2>
-        <table className="min-w-full bg-white border">
-          <thead>
-            <tr>
-              <th className="py-2 px-4 border">Operator Name</th>
-              <th className="py-2 px-4 border">Employee ID</th>
-              <th className="py-2 px-4 border">Station</th>
-              <th className="py-2 px-4 border">Date</th>
-              <th className="py-2 px-4 border">Time</th>
-            </tr>
-          </thead>
-          <tbody>
-            {attendance.length === 0 ? (
-              <tr>
-                <td colSpan="5" className="py-2 px-4 text-center">No attendance records found for today.</td>
-              </tr>
-            ) : (
-              attendance.map((record) => {
-                console.log('Attendance record in table:', record);
-                const { date, time } = displayDateTime(record.timestamp);
-                return (
-                  <tr key={record._id} className="border-t">
-                    <td className="py-2 px-4">{record.operatorName}</td>
-                    <td className="py-2 px-4">{record.employeeId}</td>
-                    <td className="py-2 px-4">{record.station}</td>
-                    <td className="py-2 px-4">{date}</td>
-                    <td className="py-2 px-4">{time}</td>
-                  </tr>
-                );
-              })
-            )}
-          </tbody>
-        </table>
-      </div>
-      {showUpdateModal && <UpdateOperatorsModal onClose={() => setShowUpdateModal(false)} />}
-      {showMarkModal && <MarkAttendanceModal onClose={() => setShowMarkModal(false)} />}
-      {showViewOperatorsModal && <ViewOperatorsModal onClose={() => setShowViewOperatorsModal(false)} />}
-      {showErrorsModal && <ViewErrorsModal onClose={() => setShowErrorsModal(false)} />}
-      {showExportModal && <ExportAttendanceModal onClose={() => setShowExportModal(false)} />}
+      )}
+      {showUpdateModal && can(user, 'manageOperators') && (
+        <UpdateOperatorsModal
+          line={line}
+          stations={stations}
+          ledCount={ledCount}
+          ledStations={ledStations}
+          matchThreshold={matchThreshold}
+          operators={operators}
+          setOperators={setOperators}
+          modelsLoaded={modelsLoaded}
+          onClose={() => setShowUpdateModal(false)}
+        />
+      )}
+      {showMarkModal && can(user, 'markAttendance') && (
+        <MarkAttendanceModal
+          line={line}
+          operators={operators}
+          records={todaysRecords}
+          postAttendance={postAttendance}
+          modelsLoaded={modelsLoaded}
+          thresholdFor={thresholdFor}
+          loadLabeledDescriptors={loadLabeledDescriptors}
+          onClose={() => setShowMarkModal(false)}
+        />
+      )}
+      {showViewOperatorsModal && can(user, 'viewOperators') && (
+        <ViewOperatorsModal
+          user={user}
+          stations={stations}
+          operators={operators}
+          onShowErrors={() => setShowErrorsModal(true)}
+          onShowCalibration={() => setShowCalibrationModal(true)}
+          onClose={() => setShowViewOperatorsModal(false)}
+        />
+      )}
+      {showErrorsModal && can(user, 'viewErrors') && (
+        <ViewErrorsModal
+          line={line}
+          operators={operators}
+          today={today}
+          onClose={() => setShowErrorsModal(false)}
+        />
+      )}
+      {showCalibrationModal && can(user, 'manageOperators') && (
+        <CalibrationModal
+          matchThreshold={matchThreshold}
+          operators={operators}
+          modelsLoaded={modelsLoaded}
+          thresholdFor={thresholdFor}
+          loadLabeledDescriptors={loadLabeledDescriptors}
+          onClose={() => setShowCalibrationModal(false)}
+        />
+      )}
+      {showExportModal && can(user, 'exportAttendance') && (
+        <ExportAttendanceModal
+          line={line}
+          today={today}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
     </div>
   );
 };
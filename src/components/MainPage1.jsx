@@ -6,6 +6,7 @@ import * as faceapi from 'face-api.js';
 import '@tensorflow/tfjs-backend-webgl';
 import '@tensorflow/tfjs-backend-cpu';
 import { mqttService } from '../services/mqttService';
+import { loadMqttConfig } from '../services/mqttConfig';
 
 // Global error handling for uncaught promise errors
 window.addEventListener('unhandledrejection', function(event) {
@@ -538,8 +539,14 @@ const MainPage = () => {
   };
 
   useEffect(() => {
-    mqttService.connect();
-    return () => mqttService.disconnect();
+    let cancelled = false;
+    loadMqttConfig().then((config) => {
+      if (!cancelled && config) mqttService.connect(config);
+    });
+    return () => {
+      cancelled = true;
+      mqttService.disconnect();
+    };
   }, []);
 
   return (
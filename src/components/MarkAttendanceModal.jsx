@@ -0,0 +1,522 @@
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
+import Webcam from 'react-webcam';
+import * as faceapi from 'face-api.js';
+import { AuthContext } from '../context/AuthContext';
+import { can } from '../services/permissions';
+import { runBlinkChallenge } from '../services/liveness';
+import { detectFace, detectFaces } from '../services/facePipeline';
+import { createFaceMatcher, assignFaces } from '../services/faceMatching';
+import { logAppError } from '../services/errorLog';
+import { captureFaceThumbnail } from '../services/faceThumbnail';
+import { eventType, decideAttendanceEvent, KIOSK_MIN_SHIFT_MS } from '../services/attendanceEvents';
+import { displayDateTime } from '../services/dateTime';
+
+const MarkAttendanceModal = ({
+  line,
+  operators,
+  records,
+  postAttendance,
+  modelsLoaded,
+  thresholdFor,
+  loadLabeledDescriptors,
+  onClose,
+}) => {
+  const { user } = useContext(AuthContext);
+  // Group mode skips the blink check; only supervisors and admins may vouch for the list
+  const canGroupCheckIn = can(user, 'groupCheckIn');
+  const [labeledDescriptors, setLabeledDescriptors] = useState([]);
+  const [isRecognizing, setIsRecognizing] = useState(false);
+  const [kioskMode, setKioskMode] = useState(false);
+  const [groupMode, setGroupMode] = useState(false);
+  const [kioskStatus, setKioskStatus] = useState('');
+  const [livenessPrompt, setLivenessPrompt] = useState('');
+  // Group check-in awaiting confirmation: { timestamp, faces }
+  const [groupCheckIn, setGroupCheckIn] = useState(null);
+  const webcamRef = useRef(null);
+  // When an unrecognised face and a failed liveness check were last logged in kiosk mode
+  const lastUnknownLoggedRef = useRef(0);
+  const lastLivenessFailLoggedRef = useRef(0);
+  const overlayRef = useRef(null);
+  // Read by the kiosk loop, which outlives a render
+  const recordsRef = useRef(records);
+  recordsRef.current = records;
+
+  // Recomputed when the operators change, and after a detector switch
+  // (descriptors of the old detector do not match the new one)
+  useEffect(() => {
+    if (!modelsLoaded) {
+      setLabeledDescriptors([]);
+      return;
+    }
+    let cancelled = false;
+
+    const loadDescriptors = async () => {
+      const validDescriptors = await loadLabeledDescriptors();
+      if (cancelled) return;
+      setLabeledDescriptors(validDescriptors);
+      if (operators.length > 0 && validDescriptors.length === 0) {
+        alert('No valid face descriptors found for operators.');
+      }
+    };
+
+    loadDescriptors();
+    return () => {
+      cancelled = true;
+    };
+  }, [modelsLoaded, operators, loadLabeledDescriptors]);
+
+  // Log a turned-away attempt with the closest match and a thumbnail of the face
+  const reportRecognitionFailure = useCallback(async (code, { detection, bestMatch } = {}) => {
+    const closestOperator = bestMatch && operators.find((op) => op._id === bestMatch.label);
+    await logAppError(line, {
+      code,
+      operatorId: closestOperator?._id,
+      operatorName: closestOperator?.name,
+      station: closestOperator?.station,
+      distance: bestMatch ? Number(bestMatch.distance.toFixed(3)) : undefined,
+      thumbnail: await captureFaceThumbnail(webcamRef.current.video, detection?.detection.box),
+    });
+  }, [line, operators]);
+
+  // Ask the matched operator to blink. Fails when they never do or when
+  // another face takes their place; callers log the failure.
+  const confirmLiveness = useCallback(async (operator) => {
+    setLivenessPrompt(`${operator.name}, please blink to confirm.`);
+    const isLive = await runBlinkChallenge(webcamRef.current.video, {
+      samples: labeledDescriptors.find((labeled) => labeled.label === operator._id).descriptors,
+      threshold: thresholdFor(operator._id),
+    });
+    setLivenessPrompt('');
+    if (!isLive) {
+      console.warn(`Liveness check failed for operator ${operator.name}`);
+    }
+    return isLive;
+  }, [labeledDescriptors, thresholdFor]);
+
+  const recognizeFace = async () => {
+    if (!webcamRef.current || webcamRef.current.video.readyState !== 4) {
+      alert('Webcam is not ready. Please ensure camera access is granted.');
+      setIsRecognizing(false);
+      return;
+    }
+    if (labeledDescriptors.length === 0) {
+      alert('No operators with valid face data for this station.');
+      setIsRecognizing(false);
+      return;
+    }
+
+    const faceMatcher = createFaceMatcher(labeledDescriptors);
+    console.log('Face matcher initialized with', labeledDescriptors.length, 'known faces');
+
+    const startTime = Date.now();
+    try {
+      const detection = await detectFace(webcamRef.current.video).withFaceDescriptor();
+      const currentTimestamp = new Date().toISOString();
+
+      if (!detection) {
+        alert('No face detected in webcam feed.');
+        await reportRecognitionFailure('NO_FACE');
+        setIsRecognizing(false);
+        return;
+      }
+
+      const bestMatch = faceMatcher.findBestMatch(detection.descriptor);
+      const endTime = Date.now();
+      console.log(`Recognition time: ${(endTime - startTime) / 1000} seconds`);
+
+      const threshold = thresholdFor(bestMatch.label);
+      if (bestMatch.distance < threshold) {
+        const matchedOperator = operators.find((op) => op._id === bestMatch.label);
+        if (matchedOperator) {
+          const decision = decideAttendanceEvent(recordsRef.current, matchedOperator, new Date(currentTimestamp));
+          if (decision.rejected) {
+            alert(
+              `${matchedOperator.name} was already checked ${eventType(decision.last)} at ` +
+                `${displayDateTime(decision.last.timestamp).time}. Please wait before scanning again.`
+            );
+            return;
+          }
+          if (!(await confirmLiveness(matchedOperator))) {
+            await reportRecognitionFailure('LIVENESS_FAILED', { detection, bestMatch });
+            alert('Liveness check failed. Please look at the camera and blink.');
+            return;
+          }
+          const action = decision.type === 'in' ? 'Checked in' : 'Checked out';
+          try {
+            const record = await postAttendance(matchedOperator, currentTimestamp, decision);
+            if (record.pending) {
+              alert(`Server unreachable. ${action} ${matchedOperator.name} on this device; it will sync automatically.`);
+            } else {
+              alert(`${action} ${matchedOperator.name} at ${matchedOperator.station} (distance: ${bestMatch.distance.toFixed(3)})`);
+            }
+          } catch (error) {
+            console.error('Error marking attendance:', error);
+            alert('Error marking attendance. Please try again.');
+          }
+        } else {
+          alert('Matched operator not found.');
+        }
+      } else {
+        alert(
+          `Face not recognised: the closest operator is at distance ${bestMatch.distance.toFixed(3)}, ` +
+            `above the match threshold of ${threshold}.`
+        );
+        await reportRecognitionFailure('NO_MATCH', { detection, bestMatch });
+      }
+    } catch (error) {
+      console.error('Error during face recognition:', error);
+      alert('An error occurred during face recognition.');
+    } finally {
+      setIsRecognizing(false);
+    }
+  };
+
+  // Group mode: find every face in the frame and list who they are for
+  // confirmation. The supervisor confirming the list stands in for the blink
+  // check, which can only follow one face at a time.
+  const recognizeGroup = async () => {
+    const video = webcamRef.current?.video;
+    if (!video || video.readyState !== 4) {
+      alert('Webcam is not ready. Please ensure camera access is granted.');
+      return;
+    }
+    if (labeledDescriptors.length === 0) {
+      alert('No operators with valid face data for this station.');
+      return;
+    }
+
+    const detections = await detectFaces(video).withFaceDescriptors();
+    const timestamp = new Date().toISOString();
+    if (detections.length === 0) {
+      alert('No faces detected in webcam feed.');
+      await reportRecognitionFailure('NO_FACE');
+      return;
+    }
+
+    const assignments = assignFaces(labeledDescriptors, detections.map((d) => d.descriptor), thresholdFor);
+    const faces = await Promise.all(
+      detections.map(async (detection, idx) => {
+        const { label, distance, closest } = assignments[idx];
+        const operator = label ? operators.find((op) => op._id === label) : null;
+        if (!operator) {
+          await reportRecognitionFailure('NO_MATCH', { detection, bestMatch: closest });
+        }
+        const decision = operator && decideAttendanceEvent(recordsRef.current, operator, new Date(timestamp));
+        return {
+          id: idx,
+          operator,
+          distance,
+          decision,
+          selected: Boolean(decision) && !decision.rejected,
+          thumbnail: await captureFaceThumbnail(video, detection.detection.box),
+        };
+      })
+    );
+    setGroupCheckIn({ timestamp, faces });
+  };
+
+  const toggleGroupFace = (id) => {
+    setGroupCheckIn((prev) => ({
+      ...prev,
+      faces: prev.faces.map((face) => (face.id === id ? { ...face, selected: !face.selected } : face)),
+    }));
+  };
+
+  const handleConfirmGroup = async () => {
+    if (!canGroupCheckIn) return;
+    const { timestamp, faces } = groupCheckIn;
+    const chosen = faces.filter((face) => face.selected);
+    setGroupCheckIn(null);
+    const marked = [];
+    const queued = [];
+    const failed = [];
+    // One at a time so the records and LEDs go out in a predictable order
+    for (const { operator, decision } of chosen) {
+      try {
+        const record = await postAttendance(operator, timestamp, decision);
+        (record.pending ? queued : marked).push(`${operator.name} (${decision.type})`);
+      } catch (error) {
+        console.error(`Error marking attendance for ${operator.name}:`, error);
+        failed.push(operator.name);
+      }
+    }
+    alert(
+      [
+        marked.length > 0 && `Marked: ${marked.join(', ')}`,
+        queued.length > 0 && `Saved on this device, will sync: ${queued.join(', ')}`,
+        failed.length > 0 && `Failed, please try again: ${failed.join(', ')}`,
+      ]
+        .filter(Boolean)
+        .join('\n')
+    );
+  };
+
+  // Draw the detection box with the operator's name and match distance
+  const drawOverlay = useCallback((detection, label) => {
+    const canvas = overlayRef.current;
+    const video = webcamRef.current?.video;
+    if (!canvas || !video) return;
+    const displaySize = { width: video.clientWidth, height: video.clientHeight };
+    faceapi.matchDimensions(canvas, displaySize);
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    if (!detection) return;
+    const resized = faceapi.resizeResults(detection, displaySize);
+    new faceapi.draw.DrawBox(resized.detection.box, { label }).draw(canvas);
+  }, []);
+
+  // Kiosk mode: keep the camera running and mark everyone who walks up
+  useEffect(() => {
+    if (!kioskMode || labeledDescriptors.length === 0) return;
+
+    const faceMatcher = createFaceMatcher(labeledDescriptors);
+    const cooldownMs = Number(import.meta.env.VITE_KIOSK_COOLDOWN_SECONDS || 60) * 1000;
+    let cancelled = false;
+    let timer;
+
+    const tick = async () => {
+      const video = webcamRef.current?.video;
+      if (video && video.readyState === 4) {
+        try {
+          const detection = await detectFace(video).withFaceDescriptor();
+          if (cancelled) return;
+
+          if (!detection) {
+            drawOverlay(null);
+          } else {
+            const bestMatch = faceMatcher.findBestMatch(detection.descriptor);
+            const matchedOperator = bestMatch.distance < thresholdFor(bestMatch.label)
+              ? operators.find((op) => op._id === bestMatch.label)
+              : null;
+            const distance = bestMatch.distance.toFixed(3);
+            drawOverlay(detection, `${matchedOperator ? matchedOperator.name : 'Unknown'} (${distance})`);
+
+            // An unknown face stays in view for many frames; log it once per cooldown
+            if (!matchedOperator && Date.now() - lastUnknownLoggedRef.current > cooldownMs) {
+              lastUnknownLoggedRef.current = Date.now();
+              reportRecognitionFailure('NO_MATCH', { detection, bestMatch });
+            }
+
+            if (matchedOperator) {
+              const decision = decideAttendanceEvent(recordsRef.current, matchedOperator);
+              if (decision.rejected) {
+                setKioskStatus(`${matchedOperator.name} is already checked ${eventType(decision.last)}.`);
+              } else if (
+                decision.type === 'out' &&
+                Date.now() - new Date(decision.last.timestamp) < KIOSK_MIN_SHIFT_MS
+              ) {
+                // Leaving early needs the Mark Attendance button, not a walk past the kiosk
+                setKioskStatus(
+                  `${matchedOperator.name} checked in at ${displayDateTime(decision.last.timestamp).time}. ` +
+                    'To check out now, turn off kiosk mode and use Mark Attendance.'
+                );
+              } else if (!(await confirmLiveness(matchedOperator))) {
+                if (cancelled) return;
+                setKioskStatus(`Liveness check failed for ${matchedOperator.name}.`);
+                // A photo held up is retried every few seconds; log it once per cooldown
+                if (Date.now() - lastLivenessFailLoggedRef.current > cooldownMs) {
+                  lastLivenessFailLoggedRef.current = Date.now();
+                  reportRecognitionFailure('LIVENESS_FAILED', { detection, bestMatch });
+                }
+              } else {
+                try {
+                  await postAttendance(matchedOperator, new Date().toISOString(), decision);
+                  // Keep scanning; the next tick sees the new record and waits out the repeat window
+                  if (!cancelled) setKioskStatus('');
+                } catch (error) {
+                  console.error('Error marking attendance:', error);
+                  if (!cancelled) setKioskStatus(`Could not mark ${matchedOperator.name}. Retrying...`);
+                }
+              }
+            }
+          }
+        } catch (error) {
+          console.error('Error during kiosk recognition:', error);
+        }
+      }
+      if (!cancelled) timer = setTimeout(tick, 300);
+    };
+
+    tick();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    kioskMode,
+    labeledDescriptors,
+    operators,
+    thresholdFor,
+    confirmLiveness,
+    postAttendance,
+    reportRecognitionFailure,
+    drawOverlay,
+  ]);
+
+  // A stream of our own at 640x480; stopped when the modal closes
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
+    const startVideo = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480 } });
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        const video = webcamRef.current?.video;
+        if (video) {
+          video.srcObject = stream;
+          video.onloadedmetadata = () => {
+            console.log('Video metadata loaded:', { width: video.videoWidth, height: video.videoHeight });
+          };
+        }
+      } catch (err) {
+        console.error('Camera access error:', err);
+        logAppError(line, { code: 'CAMERA_ERROR', message: `${err.name}: ${err.message}` });
+        setIsRecognizing(false);
+        alert('Failed to access webcam. Please ensure camera access is granted.');
+      }
+    };
+    startVideo();
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, [line]);
+
+  const handleMarkAttendance = async () => {
+    setIsRecognizing(true);
+    try {
+      await (groupMode && canGroupCheckIn ? recognizeGroup() : recognizeFace());
+    } catch (error) {
+      console.error('Error marking attendance:', error);
+      alert('Error marking attendance');
+    } finally {
+      setIsRecognizing(false);
+    }
+  };
+
+  const lastMarkedOperator = records.length > 0 ? records[records.length - 1] : null;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white p-6 rounded shadow-lg w-3/4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-4">Mark Attendance</h2>
+        <p className="text-gray-600 mb-4">Position your face in front of the camera. The system will automatically detect your identity and station.</p>
+        <div className="flex flex-wrap gap-6 mb-4">
+          <label className="inline-flex items-center">
+            <input
+              type="checkbox"
+              checked={kioskMode}
+              onChange={(e) => {
+                setKioskMode(e.target.checked);
+                if (e.target.checked) setGroupMode(false);
+              }}
+              className="h-4 w-4"
+            />
+            <span className="ml-2 text-sm">Kiosk mode (hands-free, continuous)</span>
+          </label>
+          {canGroupCheckIn && (
+            <label className="inline-flex items-center">
+              <input
+                type="checkbox"
+                checked={groupMode}
+                onChange={(e) => {
+                  setGroupMode(e.target.checked);
+                  if (e.target.checked) setKioskMode(false);
+                }}
+                className="h-4 w-4"
+              />
+              <span className="ml-2 text-sm">Group check-in (several people at once)</span>
+            </label>
+          )}
+        </div>
+        {groupMode && (
+          <p className="mb-4 p-2 bg-yellow-100 text-yellow-800 rounded text-sm">
+            Group check-in skips the blink check. Only confirm people you can see standing in front of the camera.
+          </p>
+        )}
+        <div className="mb-4 relative">
+          <Webcam
+            audio={false}
+            ref={webcamRef}
+            screenshotFormat="image/jpeg"
+            className="w-full h-auto rounded"
+            videoConstraints={{ width: 640, height: 480 }}
+          />
+          {kioskMode && <canvas ref={overlayRef} className="absolute top-0 left-0" />}
+        </div>
+        {livenessPrompt && (
+          <p className="mb-4 p-2 bg-yellow-100 text-yellow-800 rounded text-center font-semibold">{livenessPrompt}</p>
+        )}
+        {kioskMode ? (
+          <div className="mb-4">
+            {labeledDescriptors.length === 0 && <p className="text-gray-600">Loading operator faces...</p>}
+            {kioskStatus && <p className="text-yellow-700">{kioskStatus}</p>}
+            {lastMarkedOperator && (
+              <p className="text-green-700">
+                Last: {lastMarkedOperator.operatorName} checked {eventType(lastMarkedOperator)} ({lastMarkedOperator.station})
+              </p>
+            )}
+          </div>
+        ) : groupCheckIn ? (
+          <div className="mb-4">
+            <h3 className="font-semibold mb-2">
+              {groupCheckIn.faces.length} face(s) found. Tick everyone to check in or out:
+            </h3>
+            <ul className="mb-2 divide-y border rounded">
+              {groupCheckIn.faces.map((face) => (
+                <li key={face.id} className="flex items-center gap-3 p-2">
+                  <input
+                    type="checkbox"
+                    checked={face.selected}
+                    disabled={!face.decision || face.decision.rejected}
+                    onChange={() => toggleGroupFace(face.id)}
+                    className="h-4 w-4"
+                  />
+                  {face.thumbnail && <img src={face.thumbnail} alt="" className="w-12 h-12 object-cover rounded" />}
+                  {face.operator ? (
+                    <span>
+                      {face.operator.name} ({face.operator.station}){' '}
+                      <span className="text-gray-500 text-sm">distance {face.distance.toFixed(3)}</span>
+                      {face.decision.rejected ? (
+                        <span className="ml-2 text-yellow-700 text-sm">
+                          already checked {eventType(face.decision.last)}, scanned too soon
+                        </span>
+                      ) : (
+                        <span className="ml-2 font-semibold text-sm">check {face.decision.type}</span>
+                      )}
+                    </span>
+                  ) : (
+                    <span className="text-red-600">Not recognised</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={handleConfirmGroup}
+              disabled={!groupCheckIn.faces.some((face) => face.selected)}
+              className="bg-green-500 text-white px-4 py-2 rounded mr-2 disabled:opacity-50"
+            >
+              Confirm ({groupCheckIn.faces.filter((face) => face.selected).length})
+            </button>
+            <button onClick={() => setGroupCheckIn(null)} className="bg-gray-300 px-4 py-2 rounded">
+              Retake
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleMarkAttendance}
+            disabled={isRecognizing}
+            className={`bg-blue-500 text-white px-4 py-2 rounded mb-4 ${isRecognizing ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {isRecognizing ? 'Recognizing...' : groupMode ? 'Scan Group' : 'Mark Attendance'}
+          </button>
+        )}
+        <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default MarkAttendanceModal;
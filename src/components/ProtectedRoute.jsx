@@ -0,0 +1,26 @@
+import { useContext } from 'react';
+import { Navigate, useParams } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { LinesContext } from '../context/LinesContext';
+import { can } from '../services/permissions';
+
+// Renders its children only for a signed-in user on their own line.
+// Admins may open any line.
+const ProtectedRoute = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const { lines, loaded } = useContext(LinesContext);
+  const { line } = useParams();
+
+  if (!user) {
+    return <Navigate to="/" replace />;
+  }
+  if (line !== user.line && !can(user, 'switchLine')) {
+    return <Navigate to={`/${user.line}`} replace />;
+  }
+  if (loaded && !lines.some((l) => l.id === line)) {
+    return <div className="p-4 text-red-500">Line {line} is not configured.</div>;
+  }
+  return children;
+};
+
+export default ProtectedRoute;
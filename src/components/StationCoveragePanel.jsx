@@ -0,0 +1,78 @@
+import React from 'react';
+import { computeCoverage } from '../services/stationCoverage';
+
+// Supervisor view of the gaps on the line: stations nobody is working at,
+// operators who have not shown up, and which idle operators could fill in
+const StationCoveragePanel = ({ stations, operators, records }) => {
+  const { stations: coverage, uncovered, absentees, left, suggestions } = computeCoverage(stations, operators, records);
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <h2 className="text-xl font-semibold">Station Coverage</h2>
+        <span className={`text-sm font-semibold ${uncovered.length > 0 ? 'text-red-600' : 'text-green-600'}`}>
+          {uncovered.length > 0 ? `${uncovered.length} station(s) uncovered` : 'All stations covered'}
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-1 mb-4">
+        {coverage.map(({ station, assigned, present }) => (
+          <div
+            key={station}
+            title={assigned.length > 0 ? `Assigned: ${assigned.map((op) => op.name).join(', ')}` : 'Nobody assigned'}
+            className={`w-40 border rounded p-1 text-xs ${present.length === 0 ? 'bg-red-100 border-red-400' : 'bg-green-50'}`}
+          >
+            <div className="font-bold truncate">{station}</div>
+            <div className="truncate">
+              {present.length > 0 ? present.map((op) => op.name).join(', ') : 'Uncovered'}
+            </div>
+            <div className="text-gray-500">
+              {present.length}/{assigned.length} present
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h3 className="font-semibold mb-1">Not checked in ({absentees.length})</h3>
+          {absentees.length === 0 ? (
+            <p className="text-sm text-gray-500">Everyone has checked in today.</p>
+          ) : (
+            <ul className="text-sm list-disc ml-5">
+              {absentees.map((op) => (
+                <li key={op._id}>
+                  {op.name} ({op.employeeId}) - {op.station}
+                </li>
+              ))}
+            </ul>
+          )}
+          {left.length > 0 && (
+            <p className="text-sm text-gray-500 mt-1">Checked out: {left.map((op) => op.name).join(', ')}</p>
+          )}
+        </div>
+        <div>
+          <h3 className="font-semibold mb-1">Suggested reassignments</h3>
+          {suggestions.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {uncovered.length === 0 ? 'Nothing to fill.' : 'No idle operators checked in to fill the gaps.'}
+            </p>
+          ) : (
+            <ul className="text-sm list-disc ml-5">
+              {suggestions.map(({ operator, station }) => (
+                <li key={operator._id}>
+                  Move {operator.name} from IDLE to <span className="font-semibold">{station}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {uncovered.length > suggestions.length && suggestions.length > 0 && (
+            <p className="text-sm text-gray-500 mt-1">
+              {uncovered.length - suggestions.length} station(s) still uncovered after these moves.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StationCoveragePanel;
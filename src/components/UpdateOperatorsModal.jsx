@@ -0,0 +1,566 @@
+import React, { useState, useRef } from 'react';
+import { api } from '../services/api';
+import Webcam from 'react-webcam';
+import * as faceapi from 'face-api.js';
+import LedStripEditor from './LedStripEditor';
+import { removeCachedDescriptors } from '../services/descriptorCache';
+import { assessEnrollmentSample } from '../services/enrollment';
+import {
+  readOperatorWorkbook,
+  validateOperatorRows,
+  writeOperatorWorkbook,
+} from '../services/operatorSpreadsheet';
+import { downloadBlob } from '../services/download';
+
+const UpdateOperatorsModal = ({
+  line,
+  stations,
+  ledCount,
+  ledStations,
+  matchThreshold,
+  operators,
+  setOperators,
+  modelsLoaded,
+  onClose,
+}) => {
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [formData, setFormData] = useState({ name: '', employeeId: '', station: '', ledIndex: '', matchThreshold: '' });
+  // Enrollment photos: { file, preview } for every accepted sample
+  const [samples, setSamples] = useState([]);
+  const [sampleError, setSampleError] = useState('');
+  const [isCheckingSample, setIsCheckingSample] = useState(false);
+  const [showEnrollCamera, setShowEnrollCamera] = useState(false);
+  const enrollWebcamRef = useRef(null);
+  const [showLedStrip, setShowLedStrip] = useState(false);
+  // Operator being edited, or null when the form adds a new one
+  const [editingOperator, setEditingOperator] = useState(null);
+  // Validated rows of an Excel import awaiting confirmation
+  const [importRows, setImportRows] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Check a photo for a usable face before keeping it as a sample
+  const addSample = async (file) => {
+    if (!modelsLoaded) {
+      setSampleError('Face models are still loading. Please wait.');
+      return;
+    }
+    setIsCheckingSample(true);
+    setSampleError('');
+    // Generate a preview URL for the image
+    const previewUrl = URL.createObjectURL(file);
+    try {
+      const img = await faceapi.bufferToImage(file);
+      const { problem } = await assessEnrollmentSample(img);
+      if (problem) {
+        URL.revokeObjectURL(previewUrl);
+        setSampleError(problem);
+        return;
+      }
+      setSamples((prev) => [...prev, { file, preview: previewUrl }]);
+    } catch (error) {
+      console.error('Error checking enrollment sample:', error);
+      URL.revokeObjectURL(previewUrl);
+      setSampleError('Could not read the image.');
+    } finally {
+      setIsCheckingSample(false);
+    }
+  };
+
+  // Handle file selection
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      addSample(file);
+    }
+    e.target.value = '';
+  };
+
+  const handleCaptureSample = async () => {
+    const screenshot = enrollWebcamRef.current?.getScreenshot();
+    if (!screenshot) {
+      setSampleError('Webcam is not ready.');
+      return;
+    }
+    const blob = await (await fetch(screenshot)).blob();
+    addSample(new File([blob], `capture-${Date.now()}.jpg`, { type: 'image/jpeg' }));
+  };
+
+  const handleRemoveSample = (index) => {
+    URL.revokeObjectURL(samples[index].preview);
+    setSamples(samples.filter((_, i) => i !== index));
+  };
+
+  // Store an image and return its path
+  const uploadImage = async (file) => {
+    // Create a unique filename
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const fileExtension = file.name.split('.').pop();
+    const fileName = `operator-${uniqueSuffix}.${fileExtension}`;
+    const imagePath = `/images/${fileName}`; // Path relative to public folder
+
+    // Note: In a browser, you cannot directly save to public/images.
+    // For development, manually place the file in frontend/public/images or use a dev server.
+    // For deployment, images must be committed to GitHub and served by Vercel.
+
+    // Optionally, upload to a local dev server (if set up)
+    if (process.env.NODE_ENV !== 'production') {
+      const formDataToSend = new FormData();
+      formDataToSend.append('file', file);
+      const uploadRes = await api.post('/upload', formDataToSend, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      return uploadRes.data.imagePath;
+    }
+    return imagePath;
+  };
+
+  const resetForm = () => {
+    setShowAddForm(false);
+    setEditingOperator(null);
+    setFormData({ name: '', employeeId: '', station: '', ledIndex: '', matchThreshold: '' });
+    samples.forEach((sample) => URL.revokeObjectURL(sample.preview));
+    setSamples([]);
+    setSampleError('');
+    setShowEnrollCamera(false);
+  };
+
+  const handleStartAdd = () => {
+    resetForm();
+    setShowAddForm(true);
+  };
+
+  const handleStartEdit = (op) => {
+    resetForm();
+    setEditingOperator(op);
+    setFormData({
+      name: op.name,
+      employeeId: op.employeeId,
+      station: op.station,
+      ledIndex: String(op.ledIndex),
+      matchThreshold: op.matchThreshold ? String(op.matchThreshold) : '',
+    });
+    setShowAddForm(true);
+  };
+
+  const handleSubmitOperator = async (e) => {
+    e.preventDefault();
+    if (!formData.name || !formData.employeeId || !formData.station || formData.ledIndex === '') {
+      alert('Please fill all fields, including LED Index.');
+      return;
+    }
+    // New operators need a photo; when editing, the current photos are kept unless replaced
+    if (!editingOperator && samples.length === 0) {
+      alert('Please add at least one photo.');
+      return;
+    }
+
+    const ledIndex = parseInt(formData.ledIndex, 10);
+    if (isNaN(ledIndex) || ledIndex < 0 || ledIndex >= ledCount) {
+      alert(`LED Index must be a number between 0 and ${ledCount - 1}.`);
+      return;
+    }
+
+    const operatorThreshold = formData.matchThreshold === '' ? null : Number(formData.matchThreshold);
+    if (operatorThreshold !== null && !(operatorThreshold >= 0.2 && operatorThreshold <= 0.9)) {
+      alert('Match threshold must be between 0.2 and 0.9, or empty to use the line threshold.');
+      return;
+    }
+
+    try {
+      const imagePaths = [];
+      for (const sample of samples) {
+        imagePaths.push(await uploadImage(sample.file));
+      }
+
+      // Send operator data to backend
+      const operatorData = {
+        name: formData.name,
+        employeeId: formData.employeeId,
+        station: formData.station,
+        ledIndex: ledIndex,
+        matchThreshold: operatorThreshold,
+      };
+      if (imagePaths.length > 0) {
+        operatorData.imagePath = imagePaths[0];
+        operatorData.imagePaths = imagePaths;
+      }
+
+      if (editingOperator) {
+        const res = await api.put(
+          `/api/operators/${line}/${editingOperator._id}`,
+          operatorData,
+          { headers: { 'Content-Type': 'application/json' } }
+        );
+        if (imagePaths.length > 0) {
+          removeCachedDescriptors(editingOperator._id);
+        }
+        setOperators((prev) => prev.map((op) => (op._id === editingOperator._id ? res.data : op)));
+        alert('Operator updated successfully.');
+      } else {
+        const res = await api.post(
+          `/api/operators/${line}`,
+          operatorData,
+          { headers: { 'Content-Type': 'application/json' } }
+        );
+        setOperators((prev) => [...prev, res.data]);
+        alert('Operator added successfully.');
+      }
+      resetForm();
+    } catch (error) {
+      const action = editingOperator ? 'updating' : 'adding';
+      console.error(`Error ${action} operator:`, error);
+      const errorMessage = error.response?.data?.message || error.message;
+      alert(`Error ${action} operator: ${errorMessage}`);
+    }
+  };
+
+  const handleDeleteOperator = async (id) => {
+    try {
+      await api.delete(`/api/operators/${line}/${id}`);
+      removeCachedDescriptors(id);
+      setOperators((prev) => prev.filter((op) => op._id !== id));
+    } catch (error) {
+      console.error('Error deleting operator:', error);
+      alert(`Error deleting operator: ${error.response?.data?.message || error.message}`);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const rows = await readOperatorWorkbook(file);
+      if (rows.length === 0) {
+        alert('No operator rows found in the file.');
+        return;
+      }
+      setImportRows(validateOperatorRows(rows, { stations, operators, ledCount }));
+    } catch (error) {
+      console.error('Error reading operator workbook:', error);
+      alert('Could not read the Excel file. Please use an .xlsx file.');
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    const validRows = importRows.filter((row) => row.errors.length === 0);
+    setIsImporting(true);
+    const created = [];
+    const failed = [];
+    for (const row of validRows) {
+      try {
+        const res = await api.post(
+          `/api/operators/${line}`,
+          {
+            name: row.name,
+            employeeId: row.employeeId,
+            station: row.station,
+            ledIndex: row.ledIndex,
+            imagePath: row.imagePaths[0],
+            imagePaths: row.imagePaths,
+          },
+          { headers: { 'Content-Type': 'application/json' } }
+        );
+        created.push(res.data);
+      } catch (error) {
+        console.error(`Error importing operator ${row.name}:`, error);
+        failed.push(`Row ${row.rowNumber}: ${error.response?.data?.message || error.message}`);
+      }
+    }
+    setIsImporting(false);
+    setImportRows(null);
+    if (created.length > 0) {
+      setOperators((prev) => [...prev, ...created]);
+    }
+    alert(`Imported ${created.length} operator(s).${failed.length > 0 ? `\nFailed:\n${failed.join('\n')}` : ''}`);
+  };
+
+  const handleExportOperators = async () => {
+    try {
+      const blob = await writeOperatorWorkbook(operators);
+      downloadBlob(blob, `operators_${line}.xlsx`);
+    } catch (error) {
+      console.error('Error exporting operators:', error);
+      alert('Error exporting operators. Please try again.');
+    }
+  };
+
+  // Put an operator on another LED, taking on that LED's station if it has one
+  const updateOperatorLed = async (op, ledIndex) => {
+    const res = await api.put(
+      `/api/operators/${line}/${op._id}`,
+      {
+        name: op.name,
+        employeeId: op.employeeId,
+        station: ledStations[ledIndex] || op.station,
+        ledIndex,
+      },
+      { headers: { 'Content-Type': 'application/json' } }
+    );
+    return res.data;
+  };
+
+  // Move an operator to another LED slot, swapping with whoever is there
+  const handleMoveOperator = async (op, targetIndex) => {
+    const occupant = operators.find((o) => o.ledIndex === targetIndex);
+    try {
+      const updated = await Promise.all([
+        updateOperatorLed(op, targetIndex),
+        ...(occupant ? [updateOperatorLed(occupant, op.ledIndex)] : []),
+      ]);
+      setOperators((prev) => prev.map((o) => updated.find((u) => u._id === o._id) || o));
+    } catch (error) {
+      console.error('Error moving operator:', error);
+      alert(`Error moving operator: ${error.response?.data?.message || error.message}`);
+      // A swap may have half-applied; reload what the server has
+      const res = await api.get(`/api/operators/${line}`);
+      setOperators(res.data || []);
+    }
+  };
+
+  // Helper to get the free LED indexes of the line's board. The operator being edited keeps its own LED selectable.
+  const getAvailableLedIndexes = () => {
+    const assigned = operators
+      .filter(op => !editingOperator || op._id !== editingOperator._id)
+      .map(op => op.ledIndex);
+    const allIndexes = Array.from({ length: ledCount }, (_, i) => i);
+    return allIndexes.filter(idx => !assigned.includes(idx));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white p-6 rounded shadow-lg w-3/4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-4">Update Operators</h2>
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button onClick={handleStartAdd} className="bg-green-500 text-white px-4 py-2 rounded">
+            Add New Operator
+          </button>
+          <label className="bg-purple-500 text-white px-4 py-2 rounded cursor-pointer">
+            Import from Excel
+            <input type="file" accept=".xlsx" onChange={handleImportFile} className="hidden" />
+          </label>
+          <button onClick={handleExportOperators} className="bg-yellow-500 text-white px-4 py-2 rounded">
+            Export to Excel
+          </button>
+          <button onClick={() => setShowLedStrip(!showLedStrip)} className="bg-blue-500 text-white px-4 py-2 rounded">
+            {showLedStrip ? 'Hide LED Strip' : 'Edit LED Strip'}
+          </button>
+        </div>
+        {showLedStrip && (
+          <LedStripEditor
+            ledCount={ledCount}
+            ledStations={ledStations}
+            operators={operators}
+            onMove={handleMoveOperator}
+          />
+        )}
+        {importRows && (
+          <div className="mb-4 border p-2">
+            <h3 className="text-lg font-semibold mb-2">Import Preview</h3>
+            <table className="min-w-full bg-white border mb-2">
+              <thead>
+                <tr>
+                  <th className="py-2 px-4 border">Row</th>
+                  <th className="py-2 px-4 border">Name</th>
+                  <th className="py-2 px-4 border">Employee ID</th>
+                  <th className="py-2 px-4 border">Station</th>
+                  <th className="py-2 px-4 border">LED Index</th>
+                  <th className="py-2 px-4 border">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importRows.map((row) => (
+                  <tr key={row.rowNumber} className={`border-t ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                    <td className="py-2 px-4">{row.rowNumber}</td>
+                    <td className="py-2 px-4">{row.name}</td>
+                    <td className="py-2 px-4">{row.employeeId}</td>
+                    <td className="py-2 px-4">{row.station}</td>
+                    <td className="py-2 px-4">{row.ledIndex}</td>
+                    <td className="py-2 px-4">
+                      {row.errors.length > 0 ? (
+                        <span className="text-red-600">{row.errors.join(' ')}</span>
+                      ) : (
+                        <span className="text-green-600">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={handleConfirmImport}
+              disabled={isImporting || !importRows.some((row) => row.errors.length === 0)}
+              className={`bg-blue-500 text-white px-4 py-2 rounded mr-4 ${isImporting ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {isImporting
+                ? 'Importing...'
+                : `Create ${importRows.filter((row) => row.errors.length === 0).length} Valid Operator(s)`}
+            </button>
+            <button onClick={() => setImportRows(null)} className="text-blue-500 hover:underline">
+              Cancel
+            </button>
+          </div>
+        )}
+        <table className="min-w-full bg-white border">
+          <thead>
+            <tr>
+              <th className="py-2 px-4 border">Name</th>
+              <th className="py-2 px-4 border">Employee ID</th>
+              <th className="py-2 px-4 border">Station</th>
+              <th className="py-2 px-4 border">LED Index</th>
+              <th className="py-2 px-4 border">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {operators.map((op) => (
+              <tr key={op._id} className="border-t">
+                <td className="py-2 px-4">{op.name}</td>
+                <td className="py-2 px-4">{op.employeeId}</td>
+                <td className="py-2 px-4">{op.station}</td>
+                <td className="py-2 px-4">{op.ledIndex}</td>
+                <td className="py-2 px-4">
+                  <button onClick={() => handleStartEdit(op)} className="text-blue-500 hover:underline mr-4">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDeleteOperator(op._id)} className="text-red-500 hover:underline">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {showAddForm && (
+          <div className="mt-4">
+            <h3 className="text-lg font-semibold mb-2">
+              {editingOperator ? `Edit ${editingOperator.name}` : 'Add New Operator'}
+            </h3>
+            <form onSubmit={handleSubmitOperator}>
+              <input
+                type="text"
+                placeholder="Name"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="border p-2 mb-2 w-full"
+              />
+              <input
+                type="text"
+                placeholder="Employee ID"
+                value={formData.employeeId}
+                onChange={(e) => setFormData({ ...formData, employeeId: e.target.value })}
+                className="border p-2 mb-2 w-full"
+              />
+              <select
+                value={formData.station}
+                onChange={(e) => setFormData({ ...formData, station: e.target.value })}
+                className="border p-2 mb-2 w-full"
+                required
+              >
+                <option value="">Select Station</option>
+                {stations.map((station) => (
+                  <option key={station} value={station}>{station}</option>
+                ))}
+              </select>
+              <select
+                value={formData.ledIndex}
+                onChange={(e) => setFormData({
+                  ...formData,
+                  ledIndex: e.target.value,
+                  // An LED that sits at a fixed station decides the station
+                  station: ledStations[e.target.value] || formData.station,
+                })}
+                className="border p-2 mb-2 w-full"
+                required
+              >
+                <option value="">Select LED Index</option>
+                {getAvailableLedIndexes().map(idx => (
+                  <option key={idx} value={idx}>{idx}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                min="0.2"
+                max="0.9"
+                placeholder={`Match threshold (optional, line uses ${matchThreshold})`}
+                value={formData.matchThreshold}
+                onChange={(e) => setFormData({ ...formData, matchThreshold: e.target.value })}
+                className="border p-2 mb-2 w-full"
+              />
+              <div className="border p-2 mb-2">
+                {editingOperator && (
+                  <p className="text-sm text-gray-600 mb-2">
+                    Leave empty to keep the current photos, or add new ones to replace them.
+                  </p>
+                )}
+                <p className="text-sm text-gray-600 mb-2">
+                  Add several photos (e.g. with and without glasses, different lighting). Each one must show a single, frontal face.
+                </p>
+                {showEnrollCamera ? (
+                  <div className="mb-2">
+                    <Webcam
+                      audio={false}
+                      ref={enrollWebcamRef}
+                      screenshotFormat="image/jpeg"
+                      className="w-full max-w-md h-auto rounded mb-2"
+                      videoConstraints={{ width: 640, height: 480 }}
+                    />
+                    <button
+                      type="button"
+                      onClick={handleCaptureSample}
+                      disabled={isCheckingSample}
+                      className={`bg-green-500 text-white px-4 py-2 rounded mr-2 ${isCheckingSample ? 'opacity-50 cursor-not-allowed' : ''}`}
+                    >
+                      {isCheckingSample ? 'Checking...' : 'Capture Photo'}
+                    </button>
+                    <button type="button" onClick={() => setShowEnrollCamera(false)} className="text-blue-500 hover:underline">
+                      Stop Camera
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setShowEnrollCamera(true)}
+                    className="bg-green-500 text-white px-4 py-2 rounded mb-2"
+                  >
+                    Use Webcam
+                  </button>
+                )}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleFileChange}
+                  className="border p-2 mb-2 w-full"
+                />
+                {sampleError && <p className="text-red-500 text-sm mb-2">{sampleError}</p>}
+                <div className="flex flex-wrap gap-2">
+                  {samples.map((sample, index) => (
+                    <div key={sample.preview} className="relative">
+                      <img src={sample.preview} alt={`Sample ${index + 1}`} className="w-32 h-32 object-cover rounded" />
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveSample(index)}
+                        className="absolute top-0 right-0 bg-red-500 text-white text-xs px-2 rounded"
+                      >
+                        X
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded">
+                {editingOperator ? 'Save Changes' : 'Add Operator'}
+              </button>
+              <button type="button" onClick={resetForm} className="ml-4 text-blue-500 hover:underline">
+                Cancel
+              </button>
+            </form>
+          </div>
+        )}
+        <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdateOperatorsModal;
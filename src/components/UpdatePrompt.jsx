@@ -0,0 +1,25 @@
+import React, { useState, useEffect } from 'react';
+import { registerServiceWorker, applyUpdate } from '../services/serviceWorker';
+
+// Banner offering to reload when a new build has been deployed
+const UpdatePrompt = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => registerServiceWorker(setWaitingWorker), []);
+
+  if (!waitingWorker) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-purple-700 text-white px-4 py-3 rounded-lg shadow-lg">
+      <span>A new version of the app is available.</span>
+      <button onClick={() => applyUpdate(waitingWorker)} className="bg-white text-purple-700 px-3 py-1 rounded font-medium">
+        Reload
+      </button>
+      <button onClick={() => setWaitingWorker(null)} className="text-purple-200 hover:text-white">
+        Later
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { ERROR_CODES, fetchAppErrors, groupErrorsByCode } from '../services/errorLog';
+import { displayDateTime } from '../services/dateTime';
+
+const ViewErrorsModal = ({ line, operators, today, onClose }) => {
+  const [errorDate, setErrorDate] = useState(today);
+  const [errorGroups, setErrorGroups] = useState([]);
+  const [selectedCode, setSelectedCode] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    const loadErrors = async () => {
+      setIsLoading(true);
+      setLoadError('');
+      try {
+        setErrorGroups(groupErrorsByCode(await fetchAppErrors(line, errorDate)));
+      } catch (error) {
+        console.error('Error loading error events:', error);
+        setErrorGroups([]);
+        setLoadError('Could not load errors. Please try again.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    setSelectedCode(null);
+    loadErrors();
+  }, [line, errorDate]);
+
+  const operatorName = (event) =>
+    event.operatorName || operators.find((op) => op._id === event.operatorId)?.name || '-';
+  const selectedGroup = errorGroups.find((group) => group.code === selectedCode);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white p-6 rounded shadow-lg w-4/5 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-4">View Errors</h2>
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-2">Select Date:</label>
+          <input
+            type="date"
+            value={errorDate}
+            onChange={(e) => setErrorDate(e.target.value)}
+            className="border p-2 rounded w-full"
+          />
+        </div>
+        {loadError && <div className="text-red-500 mb-4">{loadError}</div>}
+        <table className="min-w-full bg-white border">
+          <thead>
+            <tr>
+              <th className="py-2 px-4 border">S.No.</th>
+              <th className="py-2 px-4 border">Error Code</th>
+              <th className="py-2 px-4 border">Description</th>
+              <th className="py-2 px-4 border">Head Count</th>
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading ? (
+              <tr>
+                <td colSpan="4" className="py-2 px-4 text-center">Loading...</td>
+              </tr>
+            ) : errorGroups.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="py-2 px-4 text-center">No errors recorded for this date.</td>
+              </tr>
+            ) : (
+              errorGroups.map((group, idx) => (
+                <tr
+                  key={group.code}
+                  onClick={() => setSelectedCode(group.code === selectedCode ? null : group.code)}
+                  className={`border-t cursor-pointer hover:bg-gray-100 ${group.code === selectedCode ? 'bg-gray-100' : ''}`}
+                >
+                  <td className="py-2 px-4">{idx + 1}</td>
+                  <td className="py-2 px-4">{group.code}</td>
+                  <td className="py-2 px-4">{group.description}</td>
+                  <td className="py-2 px-4">{group.headCount}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        {selectedGroup && (
+          <div className="mt-4">
+            <h3 className="text-lg font-semibold mb-2">{selectedGroup.code} events</h3>
+            <table className="min-w-full bg-white border">
+              <thead>
+                <tr>
+                  <th className="py-2 px-4 border">Time</th>
+                  <th className="py-2 px-4 border">Face</th>
+                  <th className="py-2 px-4 border">Operator</th>
+                  <th className="py-2 px-4 border">Station</th>
+                  <th className="py-2 px-4 border">Distance</th>
+                  <th className="py-2 px-4 border">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedGroup.events.map((event, idx) => (
+                  <tr key={event._id || idx} className="border-t">
+                    <td className="py-2 px-4">{displayDateTime(event.timestamp).time}</td>
+                    <td className="py-2 px-4">
+                      {event.thumbnail ? (
+                        <img src={event.thumbnail} alt="Face" className="w-16 h-16 object-cover rounded" />
+                      ) : '-'}
+                    </td>
+                    <td className="py-2 px-4">{operatorName(event)}</td>
+                    <td className="py-2 px-4">{event.station || '-'}</td>
+                    <td className="py-2 px-4">{typeof event.distance === 'number' ? event.distance.toFixed(3) : '-'}</td>
+                    <td className="py-2 px-4">
+                      {event.message || ERROR_CODES[event.code] || '-'}
+                      {event.unsent && <span className="ml-2 text-yellow-700">(not synced)</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <button onClick={onClose} className="mt-4 text-blue-500 hover:underline">Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default ViewErrorsModal;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { can } from '../services/permissions';
+
+const ViewOperatorsModal = ({
+  user,
+  stations,
+  operators,
+  onShowErrors,
+  onShowCalibration,
+  onClose,
+}) => {
+  const [selectedStation, setSelectedStation] = useState('');
+  const filteredOperators = selectedStation 
+    ? operators.filter((op) => op.station === selectedStation)
+    : operators;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white p-6 rounded shadow-lg w-4/5 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-4">View Operators</h2>
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-2">Filter by Station:</label>
+          <select
+            value={selectedStation}
+            onChange={(e) => setSelectedStation(e.target.value)}
+            className="border p-2 rounded w-full"
+          >
+            <option value="">All Stations</option>
+            {stations.map((station, idx) => (
+              <option key={idx} value={station}>{station}</option>
+            ))}
+          </select>
+        </div>
+        <table className="min-w-full bg-white border">
+          <thead>
+            <tr>
+              <th className="py-2 px-4 border">Name</th>
+              <th className="py-2 px-4 border">Employee ID</th>
+              <th className="py-2 px-4 border">Station</th>
+              <th className="py-2 px-4 border">LED Index</th>
+              <th className="py-2 px-4 border">Image</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredOperators.map((op) => (
+              <tr key={op._id} className="border-t">
+                <td className="py-2 px-4">{op.name}</td>
+                <td className="py-2 px-4">{op.employeeId}</td>
+                <td className="py-2 px-4">{op.station}</td>
+                <td className="py-2 px-4">{op.ledIndex}</td>
+                <td className="py-2 px-4">
+                  <img 
+                    src={`${import.meta.env.VITE_FRONTEND_URL || ''}${op.imagePath}`} 
+                    alt={op.name}
+                    className="w-16 h-16 object-cover rounded"
+                    onError={(e) => {
+                      e.target.style.display = 'none';
+                    }}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-4 flex gap-2">
+          {can(user, 'viewErrors') && (
+            <button onClick={onShowErrors} className="bg-red-500 text-white px-4 py-2 rounded">
+              View Errors
+            </button>
+          )}
+          {can(user, 'manageOperators') && (
+            <button onClick={onShowCalibration} className="bg-indigo-500 text-white px-4 py-2 rounded">
+              Calibrate Matching
+            </button>
+          )}
+          <button onClick={onClose} className="text-blue-500 hover:underline">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ViewOperatorsModal;
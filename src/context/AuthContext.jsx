@@ -1,23 +1,97 @@
-import { createContext, useState } from 'react';
+import { createContext, useState, useEffect, useCallback } from 'react';
+import { setUnauthorizedHandler, setTokenRefreshedHandler, refreshAccessToken } from '../services/api';
+import { decodeToken, msUntilExpiry } from '../services/token';
+import { readSession, saveSession, clearSession } from '../services/tokenStorage';
+import { DEFAULT_ROLE } from '../services/permissions';
 
 export const AuthContext = createContext();
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 30 * 1000;
+// Longest delay setTimeout honours
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Session from a token, or null when it is malformed or expired. The line
+// and role claims in the token win over what the login response said. An
+// expired token is still accepted when it can be refreshed.
+const sessionFromToken = (token, line, role, canRefresh = false) => {
+  const claims = token ? decodeToken(token) : null;
+  if (!claims || (msUntilExpiry(claims) <= 0 && !canRefresh)) return null;
+  return {
+    token,
+    line: claims.line || line,
+    role: claims.role || role || DEFAULT_ROLE,
+    expiresAt: claims.exp ? claims.exp * 1000 : null,
+  };
+};
+
+// Restore the session saved by a previous page load
+const restoreSession = () => {
+  const stored = readSession();
+  const session = sessionFromToken(stored.token, stored.line, stored.role, Boolean(stored.refreshToken));
+  if (!session) {
+    clearSession();
+  }
+  return session;
+};
+
 export const AuthProvider = ({ children }) => {
-  const [user, setUser] = useState(null);
+  const [user, setUser] = useState(restoreSession);
 
-  const login = (token, line) => {
-    setUser({ token, line });
-    localStorage.setItem('token', token); // Optional: Persist token
+  // `remember` keeps the session across browser restarts
+  const login = (token, line, role, { refreshToken, remember = false } = {}) => {
+    const session = sessionFromToken(token, line, role);
+    if (!session) {
+      throw new Error('Received an invalid or expired session token.');
+    }
+    setUser(session);
+    saveSession({ token, refreshToken, line: session.line, role: session.role }, remember);
+    return session;
   };
 
-  const logout = () => {
+  const logout = useCallback(() => {
     setUser(null);
-    localStorage.removeItem('token');
-  };
+    clearSession();
+  }, []);
+
+  // The backend rejected our token and it could not be refreshed
+  useEffect(() => {
+    setUnauthorizedHandler(logout);
+    return () => setUnauthorizedHandler(null);
+  }, [logout]);
+
+  useEffect(() => {
+    setTokenRefreshedHandler((token) => {
+      setUser((prev) => (prev ? { ...prev, token, expiresAt: decodeToken(token)?.exp * 1000 || null } : prev));
+    });
+    return () => setTokenRefreshedHandler(null);
+  }, []);
+
+  // Refresh the token shortly before it expires, or log out if we cannot
+  useEffect(() => {
+    if (!user?.expiresAt) return;
+    const canRefresh = Boolean(readSession().refreshToken);
+    const dueAt = user.expiresAt - (canRefresh ? REFRESH_MARGIN_MS : 0);
+    let timer;
+    const schedule = () => {
+      const delay = dueAt - Date.now();
+      // setTimeout fires at once for delays past 2^31 - 1 ms (about 24.8
+      // days), so long-lived tokens wait in steps
+      if (delay > MAX_TIMER_DELAY_MS) {
+        timer = setTimeout(schedule, MAX_TIMER_DELAY_MS);
+      } else if (canRefresh) {
+        timer = setTimeout(() => refreshAccessToken().catch(logout), Math.max(delay, 0));
+      } else {
+        timer = setTimeout(logout, Math.max(delay, 0));
+      }
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [user, logout]);
 
   return (
     <AuthContext.Provider value={{ user, login, logout }}>
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,34 @@
+import { createContext, useState, useEffect, useContext } from 'react';
+import { DEFAULT_LINES, fetchLines } from '../services/lines';
+
+export const LinesContext = createContext({ lines: DEFAULT_LINES, loaded: false });
+
+export const LinesProvider = ({ children }) => {
+  const [lines, setLines] = useState(DEFAULT_LINES);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    const loadLines = async () => {
+      try {
+        setLines(await fetchLines());
+      } catch (error) {
+        console.error('Error loading line catalogue, using defaults:', error);
+      } finally {
+        setLoaded(true);
+      }
+    };
+    loadLines();
+  }, []);
+
+  return (
+    <LinesContext.Provider value={{ lines, loaded }}>
+      {children}
+    </LinesContext.Provider>
+  );
+};
+
+// The catalogue entry of one line, or undefined if the line does not exist
+export const useLineConfig = (lineId) => {
+  const { lines } = useContext(LinesContext);
+  return lines.find((l) => l.id === lineId);
+};
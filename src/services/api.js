@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getToken, readSession, updateTokens } from './tokenStorage';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://operator-backend-7ja7.onrender.com';
 
@@ -8,7 +9,7 @@ export const api = axios.create({
 
 // Attach auth token if present
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token');
+  const token = getToken();
   if (token) {
     config.headers = config.headers || {};
     config.headers.Authorization = `Bearer ${token}`;
@@ -16,4 +17,66 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+let onUnauthorized = null;
+let onTokenRefreshed = null;
+let refreshPromise = null;
 
+// Called with no arguments when the backend answers 401 and the session
+// cannot be refreshed
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+// Called with the new access token after a silent refresh
+export const setTokenRefreshedHandler = (handler) => {
+  onTokenRefreshed = handler;
+};
+
+// Trade the stored refresh token for a new access token. Concurrent callers
+// share one request.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const { refreshToken } = readSession();
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token'));
+    }
+    refreshPromise = api
+      .post('/api/auth/refresh', { refreshToken }, { skipAuthRefresh: true, skipErrorLog: true })
+      .then((res) => {
+        updateTokens({ token: res.data.token, refreshToken: res.data.refreshToken });
+        if (onTokenRefreshed) onTokenRefreshed(res.data.token);
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// On 401, refresh the session once and replay the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config } = error;
+    if (error.response?.status !== 401 || config?.skipAuthRefresh) {
+      return Promise.reject(error);
+    }
+    if (!config._retried) {
+      let refreshed = false;
+      try {
+        await refreshAccessToken();
+        refreshed = true;
+      } catch (refreshError) {
+        console.warn('Session refresh failed:', refreshError);
+      }
+      if (refreshed) {
+        return api({ ...config, _retried: true });
+      }
+    }
+    if (onUnauthorized) {
+      onUnauthorized();
+    }
+    return Promise.reject(error);
+  }
+);
@@ -0,0 +1,97 @@
+import { shiftAt, findShift, shiftEndOn, isWithinShift, isLateArrival, isEarlyLeave } from './shiftConfig';
+
+// A second scan of the same operator within this window is rejected as a
+// repeat instead of flipping them between checked in and out
+export const REPEAT_SCAN_MS = Number(import.meta.env.VITE_REPEAT_SCAN_SECONDS || 300) * 1000;
+
+// Kiosk mode checks an operator out only this long after their check-in; an
+// earlier pass in front of the camera is more likely walking by than leaving
+export const KIOSK_MIN_SHIFT_MS = Number(import.meta.env.VITE_KIOSK_MIN_SHIFT_MINUTES || 60) * 60 * 1000;
+
+// Records from before check-out existed are check-ins
+export const eventType = (record) => (record.type === 'out' ? 'out' : 'in');
+
+const isOperatorRecord = (operator, record) => {
+  const recordOperatorId = record.operatorId?._id || record.operatorId;
+  return recordOperatorId === operator._id || Boolean(record.employeeId && record.employeeId === operator.employeeId);
+};
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+// The operator's latest attendance event in `records`, or undefined
+export const lastEventOf = (records, operator) =>
+  records.filter((record) => isOperatorRecord(operator, record)).sort(byTime).pop();
+
+// The shift a check-in record counts towards
+const shiftOfRecord = (record) => findShift(record.shift) || shiftAt(new Date(record.timestamp));
+
+// What a scan of `operator` at `at` means given the events so far:
+// { type: 'in' | 'out', shift, last } to record, or { rejected: true, last } for a
+// repeat scan. A check-in whose shift is long over (no check-out was ever
+// scanned) is followed by a fresh check-in rather than a check-out.
+export const decideAttendanceEvent = (records, operator, at = new Date()) => {
+  const last = lastEventOf(records, operator);
+  if (last && at - new Date(last.timestamp) < REPEAT_SCAN_MS) {
+    return { rejected: true, last };
+  }
+  if (last && eventType(last) === 'in') {
+    const shift = shiftOfRecord(last);
+    if (!shift || isWithinShift(shift, at)) {
+      return { type: 'out', shift, last };
+    }
+  }
+  return { type: 'in', shift: shiftAt(at), last };
+};
+
+// Whether `operator` is on shift at `at`: checked in, and the shift of that
+// check-in has not ended yet. A check-in outside every shift lasts until the
+// check-out.
+export const isOnShift = (records, operator, at = new Date()) => {
+  const last = lastEventOf(records, operator);
+  if (!last || eventType(last) !== 'in') return false;
+  const shift = shiftOfRecord(last);
+  return !shift || at < shiftEndOn(shift, new Date(last.timestamp));
+};
+
+// Ids of the operators on shift at `at`; their LEDs are the ones lit
+export const getOnShiftOperatorIds = (operators, records, at = new Date()) =>
+  new Set(operators.filter((op) => isOnShift(records, op, at)).map((op) => op._id));
+
+// Pair check-ins with check-outs: one session per operator and shift with
+// in/out times, worked minutes (so far, while still checked in) and flags
+export const buildSessions = (records, now = new Date()) => {
+  const sessions = [];
+  const open = new Map();
+  [...records].sort(byTime).forEach((record) => {
+    const key = record.operatorId?._id || record.operatorId || record.employeeId;
+    const at = new Date(record.timestamp);
+    if (eventType(record) === 'in') {
+      // A repeated check-in keeps the session it already opened
+      if (open.has(key)) {
+        open.get(key).records.push(record);
+        return;
+      }
+      const session = { key, record, shift: shiftOfRecord(record), checkIn: at, checkOut: null, records: [record] };
+      sessions.push(session);
+      open.set(key, session);
+    } else if (open.has(key)) {
+      const session = open.get(key);
+      session.checkOut = at;
+      session.records.push(record);
+      open.delete(key);
+    } else {
+      // Check-out without a check-in today, e.g. one checked in before midnight
+      sessions.push({ key, record, shift: shiftOfRecord(record), checkIn: null, checkOut: at, records: [record] });
+    }
+  });
+
+  return sessions.map((session) => ({
+    ...session,
+    workedMinutes: session.checkIn ? Math.round(((session.checkOut || now) - session.checkIn) / 60000) : null,
+    late: Boolean(session.checkIn) && isLateArrival(session.shift, session.checkIn),
+    earlyLeave: Boolean(session.checkOut) && isEarlyLeave(session.shift, session.checkOut),
+    pending: session.records.some((record) => record.pending),
+  }));
+};
+
+export const formatDuration = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
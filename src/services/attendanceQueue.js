@@ -0,0 +1,101 @@
+import { api } from './api';
+import { createIndexedDbStore } from './indexedDbStore';
+
+// Attendance marks that could not reach the backend (asleep, or the shop-floor
+// Wi-Fi dropped), kept in IndexedDB with their original timestamp and replayed
+// in order once the backend answers again. At most one check-in and one
+// check-out are kept per operator and day: the first check-in (the arrival)
+// and the last check-out (the departure).
+
+const runRequest = createIndexedDbStore('attendance-queue', 'pending', 'key');
+
+// line -> in-flight flush, so overlapping triggers do not post a mark twice
+const flushes = new Map();
+
+// Responses that reject the mark itself, so it is dropped instead of retried
+const REJECTED_STATUSES = [400, 404, 409, 422];
+
+// A mark post still unanswered after this long is treated as offline, so a
+// stalled connection queues the mark instead of hanging the scan
+export const ATTENDANCE_POST_TIMEOUT_MS = 10 * 1000;
+
+const entryKey = (line, operatorId, date, type) => `${line}|${operatorId}|${date}|${type}`;
+
+// True when a failed post is worth retrying later rather than a rejection
+export const isQueueableError = (error) => !error.response || error.response.status >= 500;
+
+// Queue a mark for later. `operator` supplies the name, employee id and
+// station shown in the attendance table until the mark is synced.
+export const queueAttendance = async (line, operator, { date, timestamp, type, shift }) => {
+  const key = entryKey(line, operator._id, date, type);
+  const existing = await runRequest('readonly', (store) => store.get(key));
+  if (existing && (type === 'out' ? existing.timestamp >= timestamp : existing.timestamp <= timestamp)) {
+    return existing;
+  }
+  const entry = {
+    key,
+    line,
+    operatorId: operator._id,
+    operatorName: operator.name,
+    employeeId: operator.employeeId,
+    station: operator.station,
+    date,
+    timestamp,
+    type,
+    shift,
+  };
+  await runRequest('readwrite', (store) => store.put(entry));
+  return entry;
+};
+
+// Queued marks of the line, oldest first
+export const getPendingAttendance = async (line) => {
+  try {
+    const entries = await runRequest('readonly', (store) => store.getAll());
+    return entries
+      .filter((entry) => entry.line === line)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  } catch (error) {
+    console.error('Error reading the attendance queue:', error);
+    return [];
+  }
+};
+
+const replay = async (line) => {
+  const synced = [];
+  for (const entry of await getPendingAttendance(line)) {
+    try {
+      const response = await api.post(
+        `/api/attendance/${line}`,
+        { operatorId: entry.operatorId, date: entry.date, timestamp: entry.timestamp, type: entry.type, shift: entry.shift },
+        { skipErrorLog: true, timeout: ATTENDANCE_POST_TIMEOUT_MS }
+      );
+      synced.push({ entry, record: response.data });
+    } catch (error) {
+      // Still offline, or logged out (401/403, retried after the next login):
+      // keep this and every later mark, in order, for next time
+      if (!REJECTED_STATUSES.includes(error.response?.status)) break;
+      // The backend refused the mark (e.g. the operator was deleted); retrying cannot help
+      console.error(`Dropping queued attendance for ${entry.operatorName}:`, error);
+    }
+    await runRequest('readwrite', (store) => store.delete(entry.key));
+  }
+  return synced;
+};
+
+// Post the line's queued marks in order. Resolves to the { entry, record }
+// pairs that reached the backend; stops at the first network or auth failure.
+export const flushAttendanceQueue = (line) => {
+  if (!flushes.has(line)) {
+    flushes.set(
+      line,
+      replay(line)
+        .catch((error) => {
+          console.error('Error replaying the attendance queue:', error);
+          return [];
+        })
+        .finally(() => flushes.delete(line))
+    );
+  }
+  return flushes.get(line);
+};
@@ -0,0 +1,180 @@
+import ExcelJS from 'exceljs';
+import { api } from './api';
+import { SHIFTS, shiftAt, isLateArrival, formatShiftTime } from './shiftConfig';
+import { displayDateTime } from './dateTime';
+
+// Longest range a report may cover; every day is a separate request
+export const MAX_REPORT_DAYS = 92;
+
+// Every YYYY-MM-DD date from `from` to `to`, inclusive
+export const listDates = (from, to) => {
+  const dates = [];
+  const current = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+// Days fetched at once, so a long range does not flood the backend
+const FETCH_BATCH_SIZE = 4;
+
+// Fetch the attendance records of each day in the range, tagged with their
+// date. A day that fails does not abort the rest: resolves to
+// { records, failedDates } so the caller can say which days are missing.
+export const fetchAttendanceRange = async (line, from, to) => {
+  const dates = listDates(from, to);
+  const records = [];
+  const failedDates = [];
+  for (let i = 0; i < dates.length; i += FETCH_BATCH_SIZE) {
+    const batch = dates.slice(i, i + FETCH_BATCH_SIZE);
+    const results = await Promise.allSettled(
+      batch.map((date) => api.get(`/api/attendance/${line}/${date}`, { skipErrorLog: true }))
+    );
+    results.forEach((result, index) => {
+      const date = batch[index];
+      if (result.status === 'rejected') {
+        console.error(`Error fetching attendance for ${date}:`, result.reason);
+        failedDates.push(date);
+        return;
+      }
+      const dayRecords = Array.isArray(result.value.data) ? result.value.data : [];
+      records.push(...dayRecords.map((record) => ({ ...record, date })));
+    });
+  }
+  return { records, failedDates };
+};
+
+const operatorKey = (record) => record.employeeId || record.operatorName;
+
+// Same time zone and format as the dashboard's attendance table
+const formatTime = (date) => displayDateTime(date).time;
+
+// One row per operator and day: first and last scan, scan count and lateness
+export const buildDailyRows = (records) => {
+  const byDay = new Map();
+  records.forEach((record) => {
+    const seenAt = new Date(record.timestamp);
+    if (isNaN(seenAt.getTime())) return;
+    const key = `${record.date}|${operatorKey(record)}`;
+    const row = byDay.get(key);
+    if (!row) {
+      byDay.set(key, {
+        date: record.date,
+        operatorName: record.operatorName,
+        employeeId: record.employeeId,
+        station: record.station,
+        firstSeen: seenAt,
+        lastSeen: seenAt,
+        scans: 1,
+      });
+    } else {
+      if (seenAt < row.firstSeen) row.firstSeen = seenAt;
+      if (seenAt > row.lastSeen) row.lastSeen = seenAt;
+      row.scans += 1;
+    }
+  });
+  return [...byDay.values()]
+    .map((row) => ({ ...row, late: isLateArrival(shiftAt(row.firstSeen), row.firstSeen) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.firstSeen - b.firstSeen);
+};
+
+// One row per operator over the whole range
+export const buildSummaryRows = (dailyRows) => {
+  const byOperator = new Map();
+  dailyRows.forEach((day) => {
+    const key = operatorKey(day);
+    const row = byOperator.get(key);
+    if (!row) {
+      byOperator.set(key, {
+        operatorName: day.operatorName,
+        employeeId: day.employeeId,
+        station: day.station,
+        daysPresent: 1,
+        firstSeen: day.firstSeen,
+        lateArrivals: day.late ? 1 : 0,
+      });
+    } else {
+      row.daysPresent += 1;
+      if (day.firstSeen < row.firstSeen) row.firstSeen = day.firstSeen;
+      if (day.late) row.lateArrivals += 1;
+    }
+  });
+  return [...byOperator.values()].sort((a, b) => String(a.operatorName).localeCompare(String(b.operatorName)));
+};
+
+const toDailyValues = (row) => ({
+  date: row.date,
+  operatorName: row.operatorName,
+  employeeId: row.employeeId,
+  station: row.station,
+  firstSeen: formatTime(row.firstSeen),
+  lastSeen: formatTime(row.lastSeen),
+  scans: row.scans,
+  late: row.late ? 'Yes' : 'No',
+});
+
+const DAILY_COLUMNS = [
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Operator Name', key: 'operatorName', width: 25 },
+  { header: 'Employee ID', key: 'employeeId', width: 15 },
+  { header: 'Station', key: 'station', width: 32 },
+  { header: 'First Seen', key: 'firstSeen', width: 12 },
+  { header: 'Last Seen', key: 'lastSeen', width: 12 },
+  { header: 'Scans', key: 'scans', width: 8 },
+  { header: 'Late', key: 'late', width: 8 },
+];
+
+// Workbook with a per-operator summary sheet and a per-day detail sheet
+export const writeAttendanceReport = async (records, { line, from, to }) => {
+  const dailyRows = buildDailyRows(records);
+  const workbook = new ExcelJS.Workbook();
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.addRow([`Attendance ${line}: ${from} to ${to}`]).font = { bold: true };
+  summary.addRow([
+    `Late means first seen after the start of the shift: ${SHIFTS.map(
+      (shift) => `${shift.name} ${formatShiftTime(shift.start)}-${formatShiftTime(shift.end)}`
+    ).join(', ')}`,
+  ]);
+  summary.addRow([]);
+  summary.addRow(['Operator Name', 'Employee ID', 'Station', 'Days Present', 'First Seen', 'Late Arrivals']).font = { bold: true };
+  buildSummaryRows(dailyRows).forEach((row) => {
+    summary.addRow([
+      row.operatorName,
+      row.employeeId,
+      row.station,
+      row.daysPresent,
+      `${displayDateTime(row.firstSeen).date} ${formatTime(row.firstSeen)}`,
+      row.lateArrivals,
+    ]);
+  });
+  [25, 15, 32, 14, 22, 14].forEach((width, i) => {
+    summary.getColumn(i + 1).width = width;
+  });
+
+  const daily = workbook.addWorksheet('Daily Detail');
+  daily.columns = DAILY_COLUMNS;
+  daily.getRow(1).font = { bold: true };
+  dailyRows.forEach((row) => daily.addRow(toDailyValues(row)));
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV of the per-day detail rows
+export const writeAttendanceCsv = (records) => {
+  const lines = [DAILY_COLUMNS.map((column) => csvCell(column.header)).join(',')];
+  buildDailyRows(records).forEach((row) => {
+    const values = toDailyValues(row);
+    lines.push(DAILY_COLUMNS.map((column) => csvCell(values[column.key])).join(','));
+  });
+  return new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+};
@@ -0,0 +1,63 @@
+import { minSampleDistance } from './faceMatching';
+
+// A pair of operators closer than their threshold plus this margin is
+// flagged: lighting or an angle can easily close the gap
+export const CLOSE_PAIR_MARGIN = 0.08;
+
+// Keep suggestions inside the range where face-api descriptors behave sensibly
+const MIN_SUGGESTED = 0.35;
+const MAX_SUGGESTED = 0.65;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Distance analysis of the enrolled operators:
+// - `matrix[i][j]`: closest distance between any samples of operators i and j
+// - `spreads[i]`: largest distance between two samples of operator i (null
+//   with a single sample), how far apart the same face can land
+// - `pairs`: every operator pair, closest first, with `collides` (would be
+//   confused at the current thresholds) and `close` (within the margin)
+// - `suggestedThreshold`: halfway between the widest own-face spread and the
+//   closest pair of different operators, or just under that pair when the two
+//   overlap
+export const analyseDescriptors = (labeledDescriptors, thresholdFor) => {
+  const matrix = labeledDescriptors.map((a) =>
+    labeledDescriptors.map((b) => (a === b ? 0 : minSampleDistance(a.descriptors, b.descriptors)))
+  );
+  const spreads = labeledDescriptors.map(({ descriptors }) => {
+    let spread = null;
+    descriptors.forEach((x, i) => {
+      descriptors.slice(i + 1).forEach((y) => {
+        spread = Math.max(spread ?? 0, minSampleDistance([x], [y]));
+      });
+    });
+    return spread;
+  });
+
+  const pairs = [];
+  labeledDescriptors.forEach((a, i) => {
+    labeledDescriptors.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      const threshold = Math.max(thresholdFor(a.label), thresholdFor(b.label));
+      pairs.push({
+        a: a.label,
+        b: b.label,
+        distance: matrix[i][j],
+        collides: matrix[i][j] < threshold,
+        close: matrix[i][j] < threshold + CLOSE_PAIR_MARGIN,
+      });
+    });
+  });
+  pairs.sort((x, y) => x.distance - y.distance);
+
+  let suggestedThreshold = null;
+  if (pairs.length > 0) {
+    const closestPair = pairs[0].distance;
+    const knownSpreads = spreads.filter((spread) => spread !== null);
+    const widestSpread = knownSpreads.length > 0 ? Math.max(...knownSpreads) : null;
+    const suggestion =
+      widestSpread !== null && widestSpread < closestPair ? (widestSpread + closestPair) / 2 : closestPair - 0.02;
+    suggestedThreshold = round(Math.min(MAX_SUGGESTED, Math.max(MIN_SUGGESTED, suggestion)));
+  }
+
+  return { matrix, spreads, pairs, suggestedThreshold };
+};
@@ -0,0 +1,26 @@
+// Date and time of a record for display, in the plant's time zone
+export const displayDateTime = (timestamp) => {
+  if (!timestamp) {
+    console.warn('Timestamp is missing or undefined:', timestamp);
+    return { date: 'N/A', time: 'N/A' };
+  }
+  const dateObj = new Date(timestamp);
+  if (isNaN(dateObj.getTime())) {
+    console.error('Invalid timestamp received:', timestamp);
+    return { date: 'Invalid Date', time: 'Invalid Time' };
+  }
+  return {
+    date: dateObj.toLocaleDateString('en-US', {
+      timeZone: 'Asia/Kolkata',
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+    }),
+    time: dateObj.toLocaleTimeString('en-US', {
+      timeZone: 'Asia/Kolkata',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    }),
+  };
+};
@@ -0,0 +1,53 @@
+import { getOperatorImagePaths } from './faceMatching';
+import { getPipelineVersion } from './facePipeline';
+import { createIndexedDbStore } from './indexedDbStore';
+
+// Persistent cache of computed face descriptors in IndexedDB, one entry per
+// operator. An entry is only valid for the images and models it was computed
+// from, so re-photographing an operator or changing the models misses.
+
+const runRequest = createIndexedDbStore('operator-face-cache', 'descriptors', 'operatorId');
+
+// Bump when the model files change; the detector choice is part of the key
+const MODEL_VERSION = 2;
+
+const modelVersion = () => `${getPipelineVersion()}@${MODEL_VERSION}`;
+
+const imageKey = (operator) => getOperatorImagePaths(operator).join('|');
+
+// Cached descriptors (array of Float32Array) for the operator, or null
+export const getCachedDescriptors = async (operator) => {
+  try {
+    const entry = await runRequest('readonly', (store) => store.get(operator._id));
+    if (!entry || entry.imageKey !== imageKey(operator) || entry.modelVersion !== modelVersion()) {
+      return null;
+    }
+    return entry.descriptors;
+  } catch (error) {
+    console.error('Error reading face descriptor cache:', error);
+    return null;
+  }
+};
+
+export const setCachedDescriptors = async (operator, descriptors) => {
+  try {
+    await runRequest('readwrite', (store) =>
+      store.put({
+        operatorId: operator._id,
+        imageKey: imageKey(operator),
+        modelVersion: modelVersion(),
+        descriptors,
+      })
+    );
+  } catch (error) {
+    console.error('Error writing face descriptor cache:', error);
+  }
+};
+
+export const removeCachedDescriptors = async (operatorId) => {
+  try {
+    await runRequest('readwrite', (store) => store.delete(operatorId));
+  } catch (error) {
+    console.error('Error removing cached face descriptors:', error);
+  }
+};
@@ -0,0 +1,38 @@
+import { detectFaces } from './facePipeline';
+
+// Minimum face box width in pixels for an enrollment sample
+const MIN_FACE_WIDTH = 120;
+// Nose-to-jaw ratio bounds for a face that is looking at the camera
+const MIN_YAW_RATIO = 0.6;
+const MAX_YAW_RATIO = 1.65;
+
+// Rough head yaw: horizontal distance from the nose tip to each side of the
+// jaw. 1 is looking straight ahead, far from 1 is turned away.
+const yawRatio = (landmarks) => {
+  const points = landmarks.positions;
+  const noseTip = points[30];
+  return (noseTip.x - points[0].x) / (points[16].x - noseTip.x);
+};
+
+// Detect the face in an enrollment image and check it is usable. Resolves to
+// { descriptor } on success or { problem } describing why it was rejected.
+export const assessEnrollmentSample = async (img) => {
+  const detections = await detectFaces(img).withFaceDescriptors();
+
+  if (detections.length === 0) {
+    return { problem: 'No face detected.' };
+  }
+  if (detections.length > 1) {
+    return { problem: 'More than one face in the picture.' };
+  }
+
+  const [detection] = detections;
+  if (detection.detection.box.width < MIN_FACE_WIDTH) {
+    return { problem: 'Face is too small. Move closer to the camera.' };
+  }
+  const ratio = yawRatio(detection.landmarks);
+  if (ratio < MIN_YAW_RATIO || ratio > MAX_YAW_RATIO) {
+    return { problem: 'Face is not frontal. Look straight at the camera.' };
+  }
+  return { descriptor: detection.descriptor };
+};
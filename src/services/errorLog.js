@@ -0,0 +1,80 @@
+import { api } from './api';
+import { localDate } from './shiftConfig';
+
+// Failure codes recorded by the app, shown in the View Errors dashboard
+export const ERROR_CODES = {
+  NO_FACE: 'No face detected',
+  NO_MATCH: 'Face not recognised',
+  LIVENESS_FAILED: 'Liveness check failed',
+  CAMERA_ERROR: 'Camera error',
+  API_ERROR: 'Server request failed',
+};
+
+// Events that could not be sent (e.g. the backend is down), kept for this
+// session so the dashboard can still show them
+const unsentEvents = [];
+
+// Record a failure for the line. Never throws: logging must not break the
+// flow that failed in the first place.
+export const logAppError = async (line, { code, message, operatorId, station, ...details }) => {
+  const timestamp = new Date().toISOString();
+  const event = {
+    code,
+    message: message || ERROR_CODES[code],
+    operatorId,
+    station,
+    timestamp,
+    date: localDate(new Date(timestamp)),
+    ...details,
+  };
+  try {
+    // skipErrorLog keeps a failing log request from logging itself
+    await api.post(`/api/attendance/${line}/fail`, event, { skipErrorLog: true });
+  } catch (error) {
+    console.error('Error logging failure event:', error);
+    unsentEvents.push({ ...event, line, unsent: true });
+  }
+};
+
+// Failure events of the line for one day, including ones not yet sent
+export const fetchAppErrors = async (line, date) => {
+  const res = await api.get(`/api/attendance/${line}/fail/${date}`, { skipErrorLog: true });
+  const events = Array.isArray(res.data) ? res.data : [];
+  return [...events, ...unsentEvents.filter((event) => event.line === line && event.date === date)];
+};
+
+// Count events per code for the summary table
+export const groupErrorsByCode = (events) => {
+  const groups = new Map();
+  events.forEach((event) => {
+    const code = event.code || 'UNSPECIFIED';
+    if (!groups.has(code)) {
+      groups.set(code, { code, description: ERROR_CODES[code] || 'Unspecified failure', events: [] });
+    }
+    groups.get(code).events.push(event);
+  });
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      headCount: group.events.length,
+      events: group.events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+    }))
+    .sort((a, b) => b.headCount - a.headCount);
+};
+
+// Log every failed API call the dashboard makes. Returns a function that
+// removes the interceptor again.
+export const captureApiErrors = (line) => {
+  const id = api.interceptors.response.use(undefined, (error) => {
+    if (!error.config?.skipErrorLog) {
+      logAppError(line, {
+        code: 'API_ERROR',
+        message: `${error.config?.method?.toUpperCase()} ${error.config?.url}: ${
+          error.response ? `${error.response.status} ${error.response.data?.message || ''}`.trim() : error.message
+        }`,
+      });
+    }
+    return Promise.reject(error);
+  });
+  return () => api.interceptors.response.eject(id);
+};
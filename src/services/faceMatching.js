@@ -0,0 +1,61 @@
+import * as faceapi from 'face-api.js';
+
+// Largest descriptor distance still accepted as the same person, unless the
+// line config or the operator sets another
+export const DEFAULT_MATCH_THRESHOLD = Number(import.meta.env.VITE_MATCH_THRESHOLD) || 0.6;
+
+// The threshold that applies to `operator`: its own override, else the line's
+export const matchThresholdFor = (operator, lineThreshold) =>
+  operator?.matchThreshold > 0 ? operator.matchThreshold : lineThreshold;
+
+// All enrollment photo paths of an operator, possibly none. Older records
+// only have `imagePath`.
+export const getOperatorImagePaths = (operator) =>
+  (operator.imagePaths && operator.imagePaths.length > 0 ? operator.imagePaths : [operator.imagePath]).filter(Boolean);
+
+// FaceMatcher that compares a face against every enrolled sample on its own.
+// faceapi.FaceMatcher averages the distance over an operator's descriptors,
+// which lets one bad sample (glasses, mask, lighting) drag a good match down,
+// so each sample gets its own entry under the operator's label.
+// The matcher always reports the closest operator; thresholds differ per
+// operator, so callers compare the distance with matchThresholdFor().
+export const createFaceMatcher = (labeledDescriptors) =>
+  new faceapi.FaceMatcher(
+    labeledDescriptors.flatMap((labeled) =>
+      labeled.descriptors.map((descriptor) => new faceapi.LabeledFaceDescriptors(labeled.label, [descriptor]))
+    ),
+    Infinity
+  );
+
+// Smallest distance between any sample of `a` and any sample of `b`
+export const minSampleDistance = (a, b) =>
+  Math.min(...a.flatMap((x) => b.map((y) => faceapi.euclideanDistance(x, y))));
+
+// Match several faces in one frame so no operator can claim two of them. The
+// closest face/operator pairs under `thresholdFor(label)` are taken first and
+// every face and operator is used at most once. Returns, per descriptor,
+// { label, distance } with label null when the face got no operator, and
+// `closest`, its nearest operator regardless of assignment, for logging.
+export const assignFaces = (labeledDescriptors, descriptors, thresholdFor) => {
+  const pairs = [];
+  const closest = descriptors.map((descriptor, faceIndex) => {
+    let nearest = { label: 'unknown', distance: Infinity };
+    labeledDescriptors.forEach(({ label, descriptors: samples }) => {
+      const distance = minSampleDistance([descriptor], samples);
+      if (distance < thresholdFor(label)) pairs.push({ faceIndex, label, distance });
+      if (distance < nearest.distance) nearest = { label, distance };
+    });
+    return nearest;
+  });
+
+  const assignments = closest.map((nearest) => ({ label: null, distance: nearest.distance, closest: nearest }));
+  const assignedLabels = new Set();
+  pairs
+    .sort((a, b) => a.distance - b.distance)
+    .forEach(({ faceIndex, label, distance }) => {
+      if (assignments[faceIndex].label || assignedLabels.has(label)) return;
+      assignments[faceIndex] = { ...assignments[faceIndex], label, distance };
+      assignedLabels.add(label);
+    });
+  return assignments;
+};
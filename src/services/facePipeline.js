@@ -0,0 +1,88 @@
+import * as faceapi from 'face-api.js';
+import '@tensorflow/tfjs-backend-webgl';
+import '@tensorflow/tfjs-backend-cpu';
+
+// The face detectors this device can run, each with the landmark model that
+// suits it and options tuned for a face about an arm's length from the camera.
+// SSD is the most accurate; TinyFaceDetector and MTCNN are for slow PCs.
+export const DETECTORS = {
+  ssd: {
+    label: 'SSD MobileNet (accurate)',
+    net: () => faceapi.nets.ssdMobilenetv1,
+    options: () => new faceapi.SsdMobilenetv1Options({ minConfidence: 0.5 }),
+    tinyLandmarks: false,
+  },
+  tiny: {
+    label: 'Tiny Face Detector (fast)',
+    net: () => faceapi.nets.tinyFaceDetector,
+    options: () => new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.5 }),
+    tinyLandmarks: true,
+  },
+  mtcnn: {
+    label: 'MTCNN (balanced)',
+    net: () => faceapi.nets.mtcnn,
+    options: () => new faceapi.MtcnnOptions({ minFaceSize: 100, scaleFactor: 0.709 }),
+    tinyLandmarks: false,
+  },
+};
+
+const STORAGE_KEY = 'faceDetector';
+const DEFAULT_DETECTOR = DETECTORS[import.meta.env.VITE_FACE_DETECTOR] ? import.meta.env.VITE_FACE_DETECTOR : 'ssd';
+
+// The detector chosen on this device, else the build default
+export const getDetectorSetting = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return DETECTORS[stored] ? stored : DEFAULT_DETECTOR;
+};
+
+export const setDetectorSetting = (detectorId) => {
+  localStorage.setItem(STORAGE_KEY, detectorId);
+};
+
+// Detector of the loaded pipeline; detect* below use it
+let activeDetector = null;
+let backendPromise = null;
+
+// Use webgl when the GPU allows it, else the much slower cpu backend
+const initBackend = async () => {
+  let ready = false;
+  try {
+    ready = await faceapi.tf.setBackend('webgl');
+  } catch (error) {
+    console.warn('WebGL backend failed to initialise:', error);
+  }
+  if (!ready) {
+    console.warn('Falling back to the cpu backend for face recognition.');
+    await faceapi.tf.setBackend('cpu');
+  }
+  await faceapi.tf.ready();
+};
+
+// Load only the models the detector needs; models already loaded are kept
+export const loadFacePipeline = async (detectorId) => {
+  const detector = DETECTORS[detectorId];
+  if (!backendPromise) {
+    backendPromise = initBackend();
+  }
+  await backendPromise;
+  const landmarkNet = detector.tinyLandmarks ? faceapi.nets.faceLandmark68TinyNet : faceapi.nets.faceLandmark68Net;
+  await Promise.all(
+    [detector.net(), landmarkNet, faceapi.nets.faceRecognitionNet]
+      .filter((net) => !net.isLoaded)
+      .map((net) => net.loadFromUri('/models'))
+  );
+  activeDetector = detectorId;
+  console.log(`Face pipeline ready: ${detectorId} on ${faceapi.tf.getBackend()}`);
+};
+
+// Identifies the loaded pipeline; descriptors from different pipelines differ
+export const getPipelineVersion = () =>
+  `${activeDetector}+${DETECTORS[activeDetector].tinyLandmarks ? 'face_landmark_68_tiny' : 'face_landmark_68'}+face_recognition`;
+
+// detectSingleFace / detectAllFaces with the loaded detector and its landmark
+// model. Chain .withFaceDescriptor(s)() as usual.
+export const detectFace = (input) =>
+  faceapi.detectSingleFace(input, DETECTORS[activeDetector].options()).withFaceLandmarks(DETECTORS[activeDetector].tinyLandmarks);
+
+export const detectFaces = (input) =>
+  faceapi.detectAllFaces(input, DETECTORS[activeDetector].options()).withFaceLandmarks(DETECTORS[activeDetector].tinyLandmarks);
@@ -0,0 +1,26 @@
+import * as faceapi from 'face-api.js';
+
+const THUMBNAIL_SIZE = 96;
+
+// Small JPEG data URL of the face in `box`, or of the whole frame when no
+// face was found, for attaching to failure records
+export const captureFaceThumbnail = async (input, box) => {
+  try {
+    let source = input;
+    if (box) {
+      [source] = await faceapi.extractFaces(input, [box]);
+    }
+    const width = source.videoWidth || source.width;
+    const height = source.videoHeight || source.height;
+    const scale = THUMBNAIL_SIZE / Math.max(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (error) {
+    console.error('Error capturing face thumbnail:', error);
+    return null;
+  }
+};
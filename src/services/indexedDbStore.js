@@ -0,0 +1,33 @@
+// One object store in its own IndexedDB database, opened on first use (and
+// again after a failed open). Returns `runRequest(mode, operation)`, which
+// runs `operation(store)` in a transaction of that mode and resolves to the
+// request's result.
+export const createIndexedDbStore = (dbName, storeName, keyPath) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName, { keyPath });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  return async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+};
@@ -0,0 +1,53 @@
+import { api } from './api';
+
+// Station layout of the original lines, used until the backend catalogue
+// has loaded or when it cannot be reached. Their boards have one LED per
+// station in this order.
+const DEFAULT_STATIONS = [
+  'Main Board VI',
+  'Sub board VI',
+  'LDA Inspection',
+  'Front camera copper foil paste',
+  'Front camera installation',
+  'Rear camera installation',
+  'IDLE',
+  'Middle Frame Installation (1)',
+  'Middle Frame Installation (2)',
+  'Key Part 3 (1)',
+  'Key Part 3 (2)',
+  'YH2',
+  'Middle Frame Inspection',
+  'Battery cover Pressing (1)',
+  'Battery cover Pressing (2)',
+  'Battery cover VI (1)',
+  'Battery cover VI (2)',
+  'Aging',
+  'Vibrator installation',
+  'Speaker installation',
+  'Receiver installation',
+];
+
+// `ledStations[i]` is the station LED i physically sits at (may be shorter
+// than `ledCount`; unmapped LEDs have no fixed station)
+export const DEFAULT_LINES = [
+  { id: 'line1', name: 'Line 1', stations: DEFAULT_STATIONS, ledCount: 21, ledStations: DEFAULT_STATIONS },
+  { id: 'line2', name: 'Line 2', stations: DEFAULT_STATIONS, ledCount: 21, ledStations: DEFAULT_STATIONS },
+  { id: 'line3', name: 'Line 3', stations: DEFAULT_STATIONS, ledCount: 21, ledStations: DEFAULT_STATIONS },
+];
+
+// Fetch the production lines with their stations, LED strip size, the
+// station of each LED and, optionally, the line's face match threshold
+export const fetchLines = async () => {
+  const res = await api.get('/api/config/lines', { skipAuthRefresh: true });
+  if (!Array.isArray(res.data) || res.data.length === 0) {
+    throw new Error('Line catalogue is empty');
+  }
+  return res.data.map((line) => ({
+    id: line.id,
+    name: line.name || line.id,
+    stations: Array.isArray(line.stations) ? line.stations : [],
+    ledCount: Number(line.ledCount) || 0,
+    ledStations: Array.isArray(line.ledStations) ? line.ledStations : [],
+    matchThreshold: Number(line.matchThreshold) || undefined,
+  }));
+};
@@ -0,0 +1,49 @@
+import { detectFace } from './facePipeline';
+import { minSampleDistance } from './faceMatching';
+
+// Eye aspect ratio thresholds: below CLOSED the eye counts as shut, above
+// OPEN it counts as open again. The gap keeps noise from faking a blink.
+const EAR_CLOSED = 0.21;
+const EAR_OPEN = 0.26;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Eye aspect ratio of the six landmark points of one eye
+export const eyeAspectRatio = (eye) => {
+  const [p1, p2, p3, p4, p5, p6] = eye;
+  return (distance(p2, p6) + distance(p3, p5)) / (2 * distance(p1, p4));
+};
+
+// Average eye aspect ratio of both eyes from a FaceLandmarks68 result
+export const averageEyeAspectRatio = (landmarks) =>
+  (eyeAspectRatio(landmarks.getLeftEye()) + eyeAspectRatio(landmarks.getRightEye())) / 2;
+
+// Track the video over several frames with the face landmarks and resolve to
+// true once the face blinks (open -> closed -> open), or false on timeout.
+// A printed or on-screen photo never closes its eyes, so it cannot pass.
+// Every frame's face must also still be the operator that was matched (within
+// `threshold` of one of their enrolled `samples`), so a photo cannot pass the
+// match and someone else's face the blink.
+export const runBlinkChallenge = async (video, { samples, threshold, timeoutMs = 5000 }) => {
+  const deadline = Date.now() + timeoutMs;
+  let sawOpen = false;
+  let sawClosed = false;
+
+  while (Date.now() < deadline) {
+    const result = await detectFace(video).withFaceDescriptor();
+    if (result) {
+      if (minSampleDistance([result.descriptor], samples) >= threshold) {
+        console.warn('Liveness check: the face changed during the blink challenge');
+        return false;
+      }
+      const ear = averageEyeAspectRatio(result.landmarks);
+      if (ear > EAR_OPEN) {
+        if (sawClosed) return true;
+        sawOpen = true;
+      } else if (ear < EAR_CLOSED && sawOpen) {
+        sawClosed = true;
+      }
+    }
+  }
+  return false;
+};
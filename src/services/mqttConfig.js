@@ -0,0 +1,25 @@
+import { api } from './api';
+
+// Broker settings baked into the build; used when the backend does not
+// hand out per-session settings
+const envConfig = () => ({
+  url: import.meta.env.VITE_MQTT_URL || '',
+  username: import.meta.env.VITE_MQTT_USERNAME || undefined,
+  password: import.meta.env.VITE_MQTT_PASSWORD || undefined,
+  rejectUnauthorized: import.meta.env.VITE_MQTT_REJECT_UNAUTHORIZED !== 'false',
+  topicPrefix: import.meta.env.VITE_MQTT_TOPIC_PREFIX || 'attendance',
+});
+
+// Broker settings for this session: `/api/config/mqtt` when the backend
+// provides it (so credentials never ship in the bundle), else the build env.
+// Resolves to null when no broker is configured at all.
+export const loadMqttConfig = async () => {
+  const config = envConfig();
+  try {
+    const res = await api.get('/api/config/mqtt', { skipErrorLog: true });
+    Object.assign(config, Object.fromEntries(Object.entries(res.data || {}).filter(([, value]) => value !== undefined)));
+  } catch (error) {
+    console.warn('No MQTT settings from the server, using build settings:', error.message);
+  }
+  return config.url ? config : null;
+};
@@ -4,30 +4,56 @@ class MQTTService {
   constructor() {
     this.client = null;
     this.connected = false;
+    this.connectListeners = new Set();
+    this.statusListeners = new Set();
+    // 'connecting' | 'connected' | 'reconnecting' | 'offline'
+    this.status = 'offline';
+    this.topicPrefix = 'attendance';
+    // topic path below the prefix (e.g. 'line1/led') -> Set of message handlers.
+    // Kept without the prefix so subscriptions made before connect() follow
+    // whatever prefix the broker config sets.
+    this.subscriptions = new Map();
   }
 
-  connect() {
+  // `config` comes from loadMqttConfig(): { url, username, password,
+  // rejectUnauthorized, topicPrefix }
+  connect(config) {
+    this.topicPrefix = config.topicPrefix || 'attendance';
     const options = {
-      protocol: 'wss',
-      hostname: 'abbc751b5b434be4ad192133b471d7bb.s1.eu.hivemq.cloud',
-      port: 8884,
-      path: '/mqtt',
-      username: 'hivemq.webclient.1748685268618',
-      password: '.W9kNFm>Z8?lM35j%Ana',
+      username: config.username,
+      password: config.password,
       clientId: `mqttjs_${Math.random().toString(16).substr(2, 8)}`,
       clean: true,
-      rejectUnauthorized: false,
+      rejectUnauthorized: config.rejectUnauthorized !== false,
       reconnectPeriod: 1000,
       connectTimeout: 30 * 1000,
     };
 
     try {
-      const connectUrl = `wss://${options.hostname}:${options.port}${options.path}`;
-      this.client = mqtt.connect(connectUrl, options);
+      this.setStatus('connecting');
+      this.client = mqtt.connect(config.url, options);
 
       this.client.on('connect', () => {
         console.log('Connected to MQTT broker');
         this.connected = true;
+        this.setStatus('connected');
+        // Clean sessions forget subscriptions, so renew them on every connect
+        this.subscriptions.forEach((_, path) => this.client.subscribe(this.topic(path), { qos: 1 }));
+        // Fires on the first connect and on every automatic reconnect
+        this.connectListeners.forEach((listener) => listener());
+      });
+
+      this.client.on('message', (topic, payload) => {
+        const handlers = this.subscriptions.get(topic.slice(this.topicPrefix.length + 1));
+        if (!handlers) return;
+        let message;
+        try {
+          message = JSON.parse(payload.toString());
+        } catch (error) {
+          console.error(`Invalid MQTT message on ${topic}:`, error);
+          return;
+        }
+        handlers.forEach((handler) => handler(message));
       });
 
       this.client.on('error', (err) => {
@@ -35,6 +61,10 @@ class MQTTService {
         this.connected = false;
       });
 
+      this.client.on('reconnect', () => {
+        this.setStatus('reconnecting');
+      });
+
       this.client.on('close', () => {
         console.log('MQTT connection closed');
         this.connected = false;
@@ -43,20 +73,37 @@ class MQTTService {
       this.client.on('offline', () => {
         console.log('MQTT client offline');
         this.connected = false;
+        this.setStatus('offline');
       });
     } catch (error) {
       console.error('MQTT connection failed:', error);
       this.connected = false;
+      this.setStatus('offline');
     }
   }
 
+  setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach((listener) => listener(status));
+  }
+
+  // Register a callback for connection status changes. Returns an unsubscribe function.
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  topic(path) {
+    return `${this.topicPrefix}/${path}`;
+  }
+
   publishLedStatus(line, ledIndex, status) {
     if (!this.connected) {
       console.error('MQTT not connected');
       return;
     }
 
-    const topic = `attendance/${line}/led`;
+    const topic = this.topic(`${line}/led`);
     const message = JSON.stringify({ ledIndex, status });
 
     this.client.publish(topic, message, { qos: 1 }, (err) => {
@@ -68,10 +115,84 @@ class MQTTService {
     });
   }
 
+  // Tell the line's other dashboards about an attendance record the backend accepted
+  publishAttendanceEvent(line, record) {
+    if (!this.connected) return;
+    this.client.publish(this.topic(`${line}/events`), JSON.stringify(record), { qos: 1 }, (err) => {
+      if (err) console.error('MQTT publish error:', err);
+    });
+  }
+
+  // Call `handler` with the parsed JSON of every message on the topic
+  // `<prefix>/<path>`. Returns an unsubscribe function.
+  subscribe(path, handler) {
+    if (!this.subscriptions.has(path)) {
+      this.subscriptions.set(path, new Set());
+      if (this.connected) {
+        this.client.subscribe(this.topic(path), { qos: 1 });
+      }
+    }
+    this.subscriptions.get(path).add(handler);
+
+    return () => {
+      const handlers = this.subscriptions.get(path);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.subscriptions.delete(path);
+        if (this.connected) {
+          this.client.unsubscribe(this.topic(path));
+        }
+      }
+    };
+  }
+
+  // LED commands published for the line by any dashboard: { ledIndex, status }
+  subscribeLedStatus(line, handler) {
+    return this.subscribe(`${line}/led`, handler);
+  }
+
+  // State reported by the line's LED board itself: { online, leds: ['on', 'off', ...] }
+  // for the whole strip, or { ledIndex, status } for a single LED
+  subscribeDeviceStatus(line, handler) {
+    return this.subscribe(`${line}/status`, handler);
+  }
+
+  // Attendance records accepted for the line, from any dashboard or kiosk
+  subscribeAttendanceEvents(line, handler) {
+    return this.subscribe(`${line}/events`, handler);
+  }
+
+  // Publish the state of every LED on the line in one go. `operators` is the
+  // line's operator list, `presentIds` the set of operator ids on shift and
+  // `ledCount` the size of the strip. Slots nobody owns (an operator moved
+  // away or was deleted) are switched off.
+  syncLine(line, operators, presentIds, ledCount = 0) {
+    const states = Array.from({ length: ledCount }, () => 'off');
+    operators.forEach((op) => {
+      if (op.ledIndex === undefined || op.ledIndex === null) return;
+      states[op.ledIndex] = presentIds.has(op._id) ? 'on' : 'off';
+    });
+    states.forEach((status, ledIndex) => this.publishLedStatus(line, ledIndex, status));
+  }
+
+  // Register a callback to run on every (re)connect. Runs immediately if we
+  // are already connected. Returns an unsubscribe function.
+  onConnect(listener) {
+    this.connectListeners.add(listener);
+    if (this.connected) {
+      listener();
+    }
+    return () => this.connectListeners.delete(listener);
+  }
+
   disconnect() {
     if (this.client) {
       this.client.end();
+      this.client = null;
     }
+    this.connected = false;
+    this.setStatus('offline');
   }
 }
 
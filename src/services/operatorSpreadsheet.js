@@ -0,0 +1,114 @@
+import ExcelJS from 'exceljs';
+import { getOperatorImagePaths } from './faceMatching';
+
+const COLUMNS = [
+  { header: 'Name', key: 'name', width: 25 },
+  { header: 'Employee ID', key: 'employeeId', width: 15 },
+  { header: 'Station', key: 'station', width: 32 },
+  { header: 'LED Index', key: 'ledIndex', width: 10 },
+  { header: 'Image Paths', key: 'imagePaths', width: 45 },
+];
+
+// Accept the export headers as well as the camelCase field names
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+const HEADER_KEYS = {
+  name: 'name',
+  employeeid: 'employeeId',
+  station: 'station',
+  ledindex: 'ledIndex',
+  led: 'ledIndex',
+  imagepath: 'imagePaths',
+  imagepaths: 'imagePaths',
+};
+
+// An operator's enrollment photos share one cell, separated by "|"
+const IMAGE_PATH_SEPARATOR = '|';
+
+const cellText = (cell) => {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && value.richText) return value.richText.map((part) => part.text).join('').trim();
+  if (typeof value === 'object' && 'result' in value) return String(value.result ?? '').trim();
+  return String(value).trim();
+};
+
+// Read the first worksheet of an .xlsx file into plain row objects
+export const readOperatorWorkbook = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const keysByColumn = {};
+  sheet.getRow(1).eachCell((cell, col) => {
+    const key = HEADER_KEYS[normalizeHeader(cellText(cell))];
+    if (key) keysByColumn[col] = key;
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = { rowNumber, name: '', employeeId: '', station: '', ledIndex: '', imagePaths: '' };
+    row.eachCell((cell, col) => {
+      if (keysByColumn[col]) values[keysByColumn[col]] = cellText(cell);
+    });
+    values.imagePaths = values.imagePaths
+      .split(IMAGE_PATH_SEPARATOR)
+      .map((path) => path.trim())
+      .filter(Boolean);
+    if (values.name || values.employeeId || values.station || values.ledIndex) rows.push(values);
+  });
+  return rows;
+};
+
+// Check imported rows against the station list and the LEDs and employee IDs
+// already in use, including earlier rows of the same file. Each row gets an
+// `errors` array; rows with none can be created.
+export const validateOperatorRows = (rows, { stations, operators, ledCount }) => {
+  const usedLeds = new Set(operators.map((op) => op.ledIndex));
+  const usedEmployeeIds = new Set(operators.map((op) => String(op.employeeId)));
+
+  return rows.map((row) => {
+    const errors = [];
+    if (!row.name) errors.push('Name is missing.');
+    if (!row.employeeId) {
+      errors.push('Employee ID is missing.');
+    } else if (usedEmployeeIds.has(row.employeeId)) {
+      errors.push(`Employee ID ${row.employeeId} already exists.`);
+    }
+    if (!stations.includes(row.station)) errors.push(`Unknown station "${row.station}".`);
+    if (row.imagePaths.length === 0) errors.push('Image path is missing.');
+
+    const ledIndex = Number(row.ledIndex);
+    if (row.ledIndex === '' || !Number.isInteger(ledIndex) || ledIndex < 0 || ledIndex >= ledCount) {
+      errors.push(`LED Index must be a number between 0 and ${ledCount - 1}.`);
+    } else if (usedLeds.has(ledIndex)) {
+      errors.push(`LED Index ${ledIndex} is already assigned.`);
+    }
+
+    if (errors.length === 0) {
+      usedLeds.add(ledIndex);
+      usedEmployeeIds.add(row.employeeId);
+    }
+    return { ...row, ledIndex: Number.isInteger(ledIndex) ? ledIndex : row.ledIndex, errors };
+  });
+};
+
+// Build an .xlsx of the operator list in the same layout the import reads
+export const writeOperatorWorkbook = async (operators) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Operators');
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  operators.forEach((op) => {
+    sheet.addRow({
+      name: op.name,
+      employeeId: op.employeeId,
+      station: op.station,
+      ledIndex: op.ledIndex,
+      imagePaths: getOperatorImagePaths(op).join(IMAGE_PATH_SEPARATOR),
+    });
+  });
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
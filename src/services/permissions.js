@@ -0,0 +1,24 @@
+export const ROLES = {
+  ADMIN: 'admin',
+  SUPERVISOR: 'supervisor',
+  KIOSK: 'kiosk',
+};
+
+// Tokens issued before roles existed get the most restricted role
+export const DEFAULT_ROLE = ROLES.KIOSK;
+
+const PERMISSIONS = {
+  markAttendance: [ROLES.ADMIN, ROLES.SUPERVISOR, ROLES.KIOSK],
+  // Marks several people without the blink check, so a person has to vouch for the list
+  groupCheckIn: [ROLES.ADMIN, ROLES.SUPERVISOR],
+  viewAttendance: [ROLES.ADMIN, ROLES.SUPERVISOR],
+  viewOperators: [ROLES.ADMIN, ROLES.SUPERVISOR],
+  manageOperators: [ROLES.ADMIN, ROLES.SUPERVISOR],
+  exportAttendance: [ROLES.ADMIN, ROLES.SUPERVISOR],
+  viewErrors: [ROLES.ADMIN, ROLES.SUPERVISOR],
+  switchLine: [ROLES.ADMIN],
+  configureDevice: [ROLES.ADMIN, ROLES.SUPERVISOR],
+};
+
+// Whether the signed-in user may perform `permission`
+export const can = (user, permission) => Boolean(user && PERMISSIONS[permission]?.includes(user.role));
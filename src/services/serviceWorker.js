@@ -0,0 +1,37 @@
+// Kiosk tablets keep the app open for days, so look for a new deploy regularly
+const UPDATE_CHECK_MS = 30 * 60 * 1000;
+
+// Register the service worker of production builds. `onUpdateReady` is called
+// with the waiting worker when a new build has been downloaded and is ready to
+// take over. Returns a function that stops the update checks.
+export const registerServiceWorker = (onUpdateReady) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+
+  let timer;
+  // Without a controller this is the first install, not an update
+  const notify = (worker) => {
+    if (worker && navigator.serviceWorker.controller) onUpdateReady(worker);
+  };
+
+  navigator.serviceWorker
+    .register('/sw.js')
+    .then((registration) => {
+      notify(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed') notify(worker);
+        });
+      });
+      timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    })
+    .catch((error) => console.error('Service worker registration failed:', error));
+
+  return () => clearInterval(timer);
+};
+
+// Let the waiting worker take over and reload onto the new build
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+};
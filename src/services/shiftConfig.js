@@ -0,0 +1,100 @@
+// Shift times come from the build env as local "HH:MM" strings
+
+const parseTime = (value, fallback) => {
+  const [hour, minute] = (value || fallback).split(':').map(Number);
+  return { hour, minute: minute || 0 };
+};
+
+export const SHIFT_START = parseTime(import.meta.env.VITE_SHIFT_START, '09:00');
+export const SHIFT_END = parseTime(import.meta.env.VITE_SHIFT_END, '20:00');
+
+// Check-ins this long before a shift starts count towards it
+const EARLY_ARRIVAL_MINUTES = 60;
+// Scans this long after a shift ends still check its operators out (overtime)
+const CHECKOUT_GRACE_MINUTES = 120;
+
+// Minutes after midnight of a { hour, minute } time or a Date (local time)
+export const minutesOfDay = (time) =>
+  time instanceof Date ? time.getHours() * 60 + time.getMinutes() : time.hour * 60 + time.minute;
+
+// Shifts as "Name=HH:MM-HH:MM" pairs separated by commas in VITE_SHIFTS, e.g.
+// "Morning=06:00-14:00,Evening=14:00-22:00". Without it there is one shift
+// from VITE_SHIFT_START to VITE_SHIFT_END.
+// Attendance is loaded one day at a time, so a check-in before midnight is
+// not there to pair with a check-out after it: shifts that run past midnight
+// are left out.
+const parseShifts = (value) => {
+  const shifts = value
+    ? value.split(',').map((entry) => {
+        const [name, times] = entry.split('=');
+        const [start, end] = times.split('-');
+        return { name: name.trim(), start: parseTime(start.trim()), end: parseTime(end.trim()) };
+      })
+    : [{ name: 'Day', start: SHIFT_START, end: SHIFT_END }];
+  const sameDay = shifts.filter((shift) => {
+    if (minutesOfDay(shift.end) > minutesOfDay(shift.start)) return true;
+    console.error(`Shift ${shift.name} runs past midnight, which is not supported; ignoring it`);
+    return false;
+  });
+  return sameDay.length > 0 ? sameDay : [{ name: 'Day', start: parseTime('09:00'), end: parseTime('20:00') }];
+};
+
+export const SHIFTS = parseShifts(import.meta.env.VITE_SHIFTS);
+
+// The next occurrence of a { hour, minute } time after `from`
+export const nextOccurrence = (time, from = new Date()) => {
+  const next = new Date(from);
+  next.setHours(time.hour, time.minute, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+// YYYY-MM-DD of `date` in local time; attendance is filed under this day
+export const localDate = (date = new Date()) => date.toLocaleDateString('en-CA');
+
+// The shift that ends next after `from`: { shift, at }
+export const nextShiftEnd = (from = new Date()) =>
+  SHIFTS.map((shift) => ({ shift, at: nextOccurrence(shift.end, from) })).reduce((next, end) =>
+    end.at < next.at ? end : next
+  );
+
+const shiftLength = (shift) => minutesOfDay(shift.end) - minutesOfDay(shift.start);
+
+// Minutes since the shift started on the day of `date`, negative before it starts
+const minutesIntoShift = (shift, date) => minutesOfDay(date) - minutesOfDay(shift.start);
+
+// Whether a scan at `date` still belongs to `shift`, including early arrivals
+// and overtime check-outs on the same day
+export const isWithinShift = (shift, date) => {
+  const minutes = minutesIntoShift(shift, date);
+  return minutes >= -EARLY_ARRIVAL_MINUTES && minutes <= shiftLength(shift) + CHECKOUT_GRACE_MINUTES;
+};
+
+// The shift a check-in at `date` is for: of the shifts it falls in, the one
+// that starts closest to it. Null between shifts.
+export const shiftAt = (date) => {
+  const candidates = SHIFTS.filter((shift) => isWithinShift(shift, date));
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, shift) =>
+    Math.abs(minutesIntoShift(shift, date)) < Math.abs(minutesIntoShift(best, date)) ? shift : best
+  );
+};
+
+// When `shift` ends on the local day of `date`
+export const shiftEndOn = (shift, date) => {
+  const end = new Date(date);
+  end.setHours(shift.end.hour, shift.end.minute, 0, 0);
+  return end;
+};
+
+export const findShift = (name) => SHIFTS.find((shift) => shift.name === name) || null;
+
+// Arrived after the shift started
+export const isLateArrival = (shift, checkIn) => Boolean(shift) && minutesIntoShift(shift, checkIn) > 0;
+
+// Left before the shift ended
+export const isEarlyLeave = (shift, checkOut) =>
+  Boolean(shift) && minutesIntoShift(shift, checkOut) < shiftLength(shift);
+
+export const formatShiftTime = (time) =>
+  `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
@@ -0,0 +1,32 @@
+import { getOnShiftOperatorIds, lastEventOf } from './attendanceEvents';
+
+// Station for operators without a fixed post; they are the ones to move
+// into gaps
+export const IDLE_STATION = 'IDLE';
+
+// Who is where on the line right now:
+// - `stations`: per working station, the operators assigned to it and those
+//   of them on shift
+// - `uncovered`: working stations with nobody on shift
+// - `absentees`: operators with no attendance today at all, and `left`:
+//   operators who checked in and have checked out again or whose shift is over
+// - `suggestions`: { operator, station } moves of on-shift IDLE operators
+//   into uncovered stations, in station order
+export const computeCoverage = (stations, operators, records) => {
+  const onShift = getOnShiftOperatorIds(operators, records);
+  const workingStations = stations.filter((station) => station !== IDLE_STATION);
+
+  const coverage = workingStations.map((station) => {
+    const assigned = operators.filter((op) => op.station === station);
+    return { station, assigned, present: assigned.filter((op) => onShift.has(op._id)) };
+  });
+  const uncovered = coverage.filter((entry) => entry.present.length === 0).map((entry) => entry.station);
+
+  const absentees = operators.filter((op) => !lastEventOf(records, op));
+  const left = operators.filter((op) => !onShift.has(op._id) && lastEventOf(records, op));
+
+  const idle = operators.filter((op) => op.station === IDLE_STATION && onShift.has(op._id));
+  const suggestions = uncovered.slice(0, idle.length).map((station, idx) => ({ operator: idle[idx], station }));
+
+  return { stations: coverage, uncovered, absentees, left, suggestions };
+};
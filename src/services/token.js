@@ -0,0 +1,19 @@
+// Read the claims of a JWT without verifying it; the backend verifies.
+// Returns null for anything that is not a well-formed token.
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(
+      atob(payload.padEnd(payload.length + ((4 - (payload.length % 4)) % 4), '='))
+        .split('')
+        .map((c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`)
+        .join('')
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+};
+
+// Milliseconds until the token expires; Infinity when it has no `exp` claim
+export const msUntilExpiry = (claims) => (claims?.exp ? claims.exp * 1000 - Date.now() : Infinity);
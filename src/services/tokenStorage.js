@@ -0,0 +1,36 @@
+// Where the session lives. "Remember me" keeps it in localStorage so it
+// survives closing the browser; otherwise it stays in sessionStorage and is
+// gone with the tab.
+
+const KEYS = ['token', 'refreshToken', 'line', 'role'];
+
+const storageWithSession = () => (sessionStorage.getItem('token') ? sessionStorage : localStorage);
+
+export const getToken = () => sessionStorage.getItem('token') || localStorage.getItem('token');
+
+export const readSession = () => {
+  const storage = storageWithSession();
+  return Object.fromEntries(KEYS.map((key) => [key, storage.getItem(key)]));
+};
+
+export const clearSession = () => {
+  KEYS.forEach((key) => {
+    localStorage.removeItem(key);
+    sessionStorage.removeItem(key);
+  });
+};
+
+export const saveSession = (values, remember) => {
+  clearSession();
+  const storage = remember ? localStorage : sessionStorage;
+  KEYS.forEach((key) => {
+    if (values[key]) storage.setItem(key, values[key]);
+  });
+};
+
+// Replace the tokens after a refresh, in whichever storage holds the session
+export const updateTokens = ({ token, refreshToken }) => {
+  const storage = storageWithSession();
+  storage.setItem('token', token);
+  if (refreshToken) storage.setItem('refreshToken', refreshToken);
+};
@@ -0,0 +1,96 @@
+// Service worker for the installed app. Not bundled with the app: the build
+// (see serviceWorkerPlugin in vite.config.js) fills in the placeholders below
+// and writes the result to dist/sw.js.
+/* global __SHELL_FILES__, __MODEL_FILES__ */
+
+// Changes on every build, which is what makes the browser notice a new deploy
+const BUILD_VERSION = '__BUILD_VERSION__';
+// App shell files of this build, and the face-api model files
+const SHELL_FILES = __SHELL_FILES__;
+const MODEL_FILES = __MODEL_FILES__;
+
+const SHELL_CACHE = `app-shell-${BUILD_VERSION}`;
+// Kept across deploys so the ~7 MB of weights are downloaded once per tablet
+const MODEL_CACHE = 'face-models-v1';
+
+// Fetch the model files this tablet does not have yet. A missing file is
+// logged rather than failing the install; it is cached on first use instead.
+const precacheModels = async () => {
+  const cache = await caches.open(MODEL_CACHE);
+  await Promise.all(
+    MODEL_FILES.map(async (url) => {
+      if (await cache.match(url)) return;
+      try {
+        await cache.add(url);
+      } catch (error) {
+        console.warn(`Could not precache ${url}:`, error);
+      }
+    })
+  );
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)), precacheModels()])
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('app-shell-') && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks for this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Pages come from the network when it is there, so a deploy is picked up on
+// the next load, and from the cached shell when it is not
+const networkFirstPage = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // API calls, the MQTT socket and operator photos on the backend go straight through
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.pathname.startsWith('/models/')) {
+    event.respondWith(cacheFirst(request, MODEL_CACHE));
+  } else if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
@@ -1,8 +1,45 @@
+import { readFileSync, readdirSync } from 'node:fs';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// face-api models the app never loads; not worth precaching
+const UNUSED_MODELS = ['age_gender_model', 'face_expression_model'];
+
+// Public files that belong to the app shell
+const PUBLIC_SHELL_FILES = ['/manifest.webmanifest', '/icons/icon.svg', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+// Every file face-api fetches for the models we use: each weights manifest
+// and the shards it lists
+const listModelFiles = () =>
+  readdirSync('public/models')
+    .filter((file) => file.endsWith('-weights_manifest.json'))
+    .filter((file) => !UNUSED_MODELS.some((model) => file.startsWith(model)))
+    .flatMap((file) => {
+      const manifest = JSON.parse(readFileSync(`public/models/${file}`, 'utf8'));
+      return [file, ...manifest.flatMap((group) => group.paths)];
+    })
+    .map((file) => `/models/${file}`);
+
+// Emit dist/sw.js from src/sw.js with this build's file list baked in
+const serviceWorkerPlugin = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const bundleFiles = Object.keys(bundle)
+      .filter((file) => !file.endsWith('.map'))
+      .map((file) => `/${file}`);
+    const shellFiles = [...new Set(['/index.html', ...bundleFiles, ...PUBLIC_SHELL_FILES])];
+    const source = readFileSync('src/sw.js', 'utf8')
+      .replace("'__BUILD_VERSION__'", JSON.stringify(Date.now().toString(36)))
+      .replace('= __SHELL_FILES__;', `= ${JSON.stringify(shellFiles)};`)
+      .replace('= __MODEL_FILES__;', `= ${JSON.stringify(listModelFiles())};`);
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  },
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin()],
   // Serve static assets like /images directly from Vite's public dir.
   // Removing proxy avoids 500s when requesting images during dev.
-});
\ No newline at end of file
+});